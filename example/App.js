@@ -1,5 +1,5 @@
 import React from 'react'
-import { useAdvancedState } from '../src/index.jsx' // Adjust path if needed
+import { useAdvancedState, useAdvancedStateSelector } from '../src/index.jsx' // Adjust path if needed
 
 /*
  * Component A: Manages 'username'
@@ -36,15 +36,13 @@ function ComponentA () {
 }
 
 /*
- * Component B: Also manages 'username'
+ * Component B: Reads 'username'
  * This component demonstrates the 'cross-component' sync.
- * It also inherits all its settings from the provider.
+ * It selects the value from the shared store, read-only.
  */
 function ComponentB () {
-  // This hook also inherits its config and syncs with ComponentA
-  const [username] = useAdvancedState('username', {
-    notify: 'cross-component' // Just needs to listen
-  })
+  // Re-renders whenever ComponentA changes the username
+  const username = useAdvancedStateSelector('username', name => name)
 
   return (
     <div className='p-6 bg-white border border-gray-200 rounded-lg shadow-sm'>
@@ -103,13 +101,13 @@ function ComponentC () {
 export default function App () {
   const [key, setKey] = React.useState('app1')
   const [docId, setDocId] = React.useState('doc123')
+  const [search, setSearch] = React.useState(window.location.search)
 
   const setUrl = () => {
     const newUrl = `/?appId=${key}&docId=${docId}`
+    // Scoped hooks follow client-side navigation, no reload needed
     window.history.pushState({}, '', newUrl)
-    // Note: We force a reload to simulate navigation for this simple demo
-    // In a real app with React Router, this is not needed.
-    window.location.reload()
+    setSearch(window.location.search)
   }
 
   return (
@@ -140,12 +138,13 @@ export default function App () {
               (cross-tab sync).
             </li>
             <li>
-              Change the "Test URL Scopes" below and click "Reload". The
+              Change the "Test URL Scopes" below and click "Navigate". The
               username field will reset to "Guest". This is a *new scope*.
             </li>
             <li>
-              Change the URL back to the original `appId` and click "Reload"
-              again. Your original username will re-appear (scope persistence).
+              Change the URL back to the original `appId` and click
+              "Navigate" again. Your original username will re-appear (scope
+              persistence).
             </li>
           </ol>
         </div>
@@ -174,11 +173,11 @@ export default function App () {
               onClick={setUrl}
               className='px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md shadow-sm hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500'
             >
-              Reload with New URL
+              Navigate to New URL
             </button>
           </div>
           <p className='mt-2 text-xs text-gray-500'>
-            Current URL params: <strong>{window.location.search}</strong>
+            Current URL params: <strong>{search}</strong>
           </p>
         </div>
 
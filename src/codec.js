@@ -0,0 +1,230 @@
+// src/codec.js
+
+// Values that carry metadata (e.g. a schema version) are stored inside an
+// envelope. Plain values are stored as-is, so existing data stays readable.
+const ENVELOPE_KEY = '__adv'
+const ENVELOPE_PREFIX = `{"${ENVELOPE_KEY}":`
+
+/**
+ * @typedef {object} CodecOptions
+ * @property {(value: any) => string} [serialize=JSON.stringify]
+ * @property {(text: string) => any} [deserialize=JSON.parse]
+ * @property {number} [version] - The current schema version of the value.
+ * @property {number} [ttl] - Milliseconds a written value stays valid.
+ * @property {number | Date} [expiresAt] - Absolute expiry of a written value. Takes precedence over `ttl`.
+ * @property {(oldValue: any, fromVersion: number) => any} [migrate] - Upgrades a value stored under an older version.
+ * @property {((value: any) => boolean) | { parse: (value: any) => any }} [validate] - A predicate, or a schema whose `parse` method returns the value or throws.
+ * @property {import('./conflicts').Clock} [clock] - The logical clock of the change being written.
+ */
+
+/**
+ * Creates the error thrown for values rejected by `validate`.
+ * @param {any} value - The rejected value.
+ * @param {Error} [cause] - The error thrown by the schema, if any.
+ * @returns {Error}
+ */
+function createValidationError (value, cause) {
+  const error = new Error(
+    cause && cause.message ? cause.message : 'Value failed validation'
+  )
+  error.name = 'ValidationError'
+  error.value = value
+  error.cause = cause
+  return error
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean} Whether the error was thrown by `validateValue`.
+ */
+export function isValidationError (error) {
+  return !!error && error.name === 'ValidationError'
+}
+
+/**
+ * Checks a value against the `validate` option. Schemas with a `parse`
+ * method (Zod, Yup-style) may transform the value; their result is used.
+ * @param {any} value
+ * @param {CodecOptions['validate']} [validate]
+ * @returns {any} The valid value.
+ */
+export function validateValue (value, validate) {
+  if (!validate) return value
+
+  let isValid
+  try {
+    if (typeof validate.parse === 'function') return validate.parse(value)
+    isValid = validate(value)
+  } catch (e) {
+    throw createValidationError(value, e)
+  }
+  if (!isValid) throw createValidationError(value)
+  return value
+}
+
+function getEnvelopeMeta ({ version, ttl, expiresAt, clock }) {
+  const meta = {}
+  if (version !== undefined) meta.v = version
+  if (clock !== undefined) meta.c = clock
+
+  const now = Date.now()
+  let expiry
+  if (expiresAt !== undefined) {
+    expiry = new Date(expiresAt).getTime()
+  } else if (ttl !== undefined) {
+    expiry = now + ttl
+  }
+  if (expiry !== undefined) {
+    meta.ts = now
+    meta.exp = expiry
+  }
+
+  return Object.keys(meta).length > 0 ? meta : null
+}
+
+function isEnvelope (value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    ENVELOPE_KEY in value &&
+    'payload' in value
+  )
+}
+
+/**
+ * Splits a stored representation into its metadata and (still serialized)
+ * payload. Plain values have empty metadata.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue
+ * @returns {{ meta: object, payload: any }}
+ */
+export function splitStoredValue (adapter, storedValue) {
+  if (adapter.structured) {
+    return isEnvelope(storedValue)
+      ? { meta: storedValue[ENVELOPE_KEY], payload: storedValue.payload }
+      : { meta: {}, payload: storedValue }
+  }
+  if (
+    typeof storedValue === 'string' &&
+    storedValue.startsWith(ENVELOPE_PREFIX)
+  ) {
+    const envelope = JSON.parse(storedValue)
+    return { meta: envelope[ENVELOPE_KEY], payload: envelope.payload }
+  }
+  return { meta: {}, payload: storedValue }
+}
+
+/**
+ * Joins metadata and a (serialized) payload into the representation an
+ * adapter stores. Without metadata, the payload is stored as-is.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {object | null} meta
+ * @param {any} payload
+ * @returns {any}
+ */
+export function joinStoredValue (adapter, meta, payload) {
+  if (!meta || Object.keys(meta).length === 0) return payload
+  const envelope = { [ENVELOPE_KEY]: meta, payload }
+  return adapter.structured ? envelope : JSON.stringify(envelope)
+}
+
+/**
+ * @param {object} meta - Envelope metadata.
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} Whether the value's `ttl`/`expiresAt` has passed.
+ */
+export function isExpiredMeta (meta, now = Date.now()) {
+  return meta.exp !== undefined && now >= meta.exp
+}
+
+/**
+ * Reads the envelope metadata of a stored representation without
+ * deserializing the payload.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue - Must not be `undefined`.
+ * @returns {{ v?: number, ts?: number, exp?: number }}
+ */
+export function readStoredMeta (adapter, storedValue) {
+  return splitStoredValue(adapter, storedValue).meta
+}
+
+/**
+ * Checks a stored representation for expiry without deserializing it.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue - Must not be `undefined`.
+ * @returns {boolean}
+ */
+export function isExpired (adapter, storedValue) {
+  return isExpiredMeta(readStoredMeta(adapter, storedValue))
+}
+
+/**
+ * Converts a value into the representation an adapter stores.
+ * String-based adapters receive the serialized value (by the adapter's own
+ * `serialize`, unless the key sets one); `structured` adapters receive the
+ * value itself.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} value
+ * @param {CodecOptions} [options]
+ * @returns {any}
+ */
+export function encodeValue (adapter, value, options = {}) {
+  const { serialize = adapter.serialize || JSON.stringify } = options
+  const payload = adapter.structured ? value : serialize(value)
+  return joinStoredValue(adapter, getEnvelopeMeta(options), payload)
+}
+
+/**
+ * Decodes a stored value, runs pending migrations and validates the result.
+ * Throws if the value cannot be brought to the current version, or a
+ * validation error (see `isValidationError`) if it is invalid.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue
+ * @param {CodecOptions} [options]
+ * @returns {{ value: any, migrated: boolean, expired: boolean, clock?: import('./conflicts').Clock } | null} `null` if nothing is stored.
+ */
+export function readStoredValue (adapter, storedValue, options = {}) {
+  if (storedValue === undefined) return null
+
+  const {
+    deserialize = adapter.deserialize || JSON.parse,
+    version,
+    migrate,
+    validate
+  } = options
+  const { meta, payload } = splitStoredValue(adapter, storedValue)
+
+  // Expired values are treated as missing, without deserializing them
+  if (isExpiredMeta(meta)) {
+    return { value: undefined, migrated: false, expired: true }
+  }
+
+  const value = adapter.structured ? payload : deserialize(payload)
+
+  // Values written before versioning was enabled count as version 0
+  const storedVersion = meta.v === undefined ? 0 : meta.v
+  if (version === undefined || storedVersion === version) {
+    return {
+      value: validateValue(value, validate),
+      migrated: false,
+      expired: false,
+      clock: meta.c
+    }
+  }
+  if (storedVersion > version) {
+    throw new Error(
+      `Stored version ${storedVersion} is newer than version ${version}`
+    )
+  }
+  if (typeof migrate !== 'function') {
+    throw new Error(
+      `No migration from version ${storedVersion} to version ${version}`
+    )
+  }
+  return {
+    value: validateValue(migrate(value, storedVersion), validate),
+    migrated: true,
+    expired: false,
+    clock: meta.c
+  }
+}
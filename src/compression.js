@@ -0,0 +1,423 @@
+// src/compression.js
+
+import { splitStoredValue, joinStoredValue } from './codec'
+import { richSerializer } from './serializers'
+import { isThenable, settle } from './utils'
+import { createAdvancedStateError, logError } from './errors'
+
+// Marks envelopes with a compressed payload, naming the codec
+const COMPRESSED = 'z'
+const LZ = 'lz'
+const GZIP = 'gzip'
+
+// The string-safe codec packs 15 bits into each character, offset past the
+// control characters. All characters stay below the surrogate range, so
+// the text survives any storage that holds strings.
+const BITS_PER_CHAR = 15
+const CHAR_OFFSET = 32
+
+// Codes 0 and 1 announce an 8 or 16 bit literal, 2 ends the stream
+const LITERAL_8 = 0
+const LITERAL_16 = 1
+const END = 2
+
+/**
+ * @typedef {object} CompressionConfig
+ * @property {number} [threshold=0] - Only payloads of at least this many bytes are compressed.
+ */
+
+/**
+ * The size of a persisted payload, in bytes. Strings count two bytes per
+ * character, as they do against the Web Storage quota.
+ * @typedef {object} StoredSize
+ * @property {number} raw - Before compression.
+ * @property {number} stored - As stored.
+ */
+
+/**
+ * Maps the `compress` option to a configuration.
+ * @param {boolean | CompressionConfig} [compress]
+ * @returns {CompressionConfig | null}
+ */
+export function resolveCompressionConfig (compress) {
+  if (!compress) return null
+  const { threshold = 0 } = compress === true ? {} : compress
+  return { threshold }
+}
+
+// Applies `fn` to a value that may be a promise
+function andThen (value, fn) {
+  return isThenable(value) ? value.then(fn) : fn(value)
+}
+
+// --- String-Safe Codec (LZW) ---
+
+/**
+ * Compresses a string into a shorter string. The dictionary grows from the
+ * characters of the input, so any text, not just ASCII, compresses well.
+ * @param {string} text
+ * @returns {string}
+ */
+export function compressText (text) {
+  const chars = []
+  let buffer = 0
+  let bufferLength = 0
+
+  const writeBits = (value, count) => {
+    for (let i = 0; i < count; i++) {
+      buffer = (buffer << 1) | ((value >> i) & 1)
+      if (++bufferLength === BITS_PER_CHAR) {
+        chars.push(String.fromCharCode(buffer + CHAR_OFFSET))
+        buffer = 0
+        bufferLength = 0
+      }
+    }
+  }
+
+  const dictionary = new Map()
+  // Characters with a code the decoder has not seen as a literal yet
+  const newChars = new Set()
+  let nextCode = END + 1
+  let codeWidth = 2
+  let untilWider = 2
+
+  // Codes widen by a bit once the dictionary may have outgrown them. The
+  // decoder counts codes the same way.
+  const countCode = () => {
+    if (--untilWider === 0) {
+      untilWider = 2 ** codeWidth
+      codeWidth++
+    }
+  }
+
+  const writePhrase = phrase => {
+    if (newChars.has(phrase)) {
+      const charCode = phrase.charCodeAt(0)
+      const isWide = charCode > 0xff
+      writeBits(isWide ? LITERAL_16 : LITERAL_8, codeWidth)
+      writeBits(charCode, isWide ? 16 : 8)
+      newChars.delete(phrase)
+      countCode()
+    } else {
+      writeBits(dictionary.get(phrase), codeWidth)
+    }
+    countCode()
+  }
+
+  let phrase = ''
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (!dictionary.has(char)) {
+      dictionary.set(char, nextCode++)
+      newChars.add(char)
+    }
+    const extended = phrase + char
+    if (dictionary.has(extended)) {
+      phrase = extended
+    } else {
+      writePhrase(phrase)
+      dictionary.set(extended, nextCode++)
+      phrase = char
+    }
+  }
+  if (phrase) writePhrase(phrase)
+  writeBits(END, codeWidth)
+
+  if (bufferLength > 0) {
+    buffer <<= BITS_PER_CHAR - bufferLength
+    chars.push(String.fromCharCode(buffer + CHAR_OFFSET))
+  }
+  return chars.join('')
+}
+
+/**
+ * Reverses `compressText`.
+ * @param {string} text
+ * @returns {string}
+ * @throws {Error} If the text is not a compressed string.
+ */
+export function decompressText (text) {
+  let index = 0
+  let buffer = 0
+  let mask = 0
+
+  const readBits = count => {
+    let value = 0
+    for (let i = 0; i < count; i++) {
+      if (mask === 0) {
+        if (index >= text.length) {
+          throw new Error('Compressed value ended unexpectedly')
+        }
+        buffer = text.charCodeAt(index++) - CHAR_OFFSET
+        mask = 1 << (BITS_PER_CHAR - 1)
+      }
+      if (buffer & mask) value |= 1 << i
+      mask >>= 1
+    }
+    return value
+  }
+
+  // Codes 0 to 2 are reserved, and have no entry
+  const dictionary = [null, null, null]
+  const parts = []
+  let codeWidth = 2
+  let untilWider = 2
+  let previous = null
+
+  const countCode = () => {
+    if (--untilWider === 0) {
+      untilWider = 2 ** codeWidth
+      codeWidth++
+    }
+  }
+
+  for (;;) {
+    const code = readBits(codeWidth)
+    if (code === END) return parts.join('')
+
+    let entry
+    if (code === LITERAL_8 || code === LITERAL_16) {
+      entry = String.fromCharCode(readBits(code === LITERAL_8 ? 8 : 16))
+      dictionary.push(entry)
+      countCode()
+    } else if (code < dictionary.length) {
+      entry = dictionary[code]
+    } else if (code === dictionary.length && previous !== null) {
+      // The phrase the encoder added right before using it
+      entry = previous + previous[0]
+    } else {
+      throw new Error('Compressed value is corrupt')
+    }
+
+    parts.push(entry)
+    if (previous !== null) dictionary.push(previous + entry[0])
+    previous = entry
+    countCode()
+  }
+}
+
+// --- Gzip (Compression Streams) ---
+
+function hasCompressionStreams () {
+  return (
+    typeof CompressionStream === 'function' &&
+    typeof DecompressionStream === 'function'
+  )
+}
+
+async function transformBytes (bytes, stream) {
+  const writer = stream.writable.getWriter()
+  // Failures also surface when reading, and are reported there
+  writer.write(bytes).catch(() => {})
+  writer.close().catch(() => {})
+
+  const reader = stream.readable.getReader()
+  const chunks = []
+  let length = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    length += value.length
+  }
+
+  const result = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    result.set(chunk, offset)
+    offset += chunk.length
+  }
+  return result
+}
+
+// --- Stored Values ---
+
+/**
+ * Compresses the payload of a stored representation, if it is at least
+ * `threshold` bytes and compression makes it smaller. Web Storage payloads
+ * use the string-safe codec. Structured payloads are serialized with the
+ * rich serializer and gzipped, or use the string-safe codec where
+ * Compression Streams are not supported.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue - The representation `encodeValue` returned.
+ * @param {number} [threshold=0]
+ * @returns {{ storedValue: any, size: StoredSize } | Promise<{ storedValue: any, size: StoredSize }>} A promise for gzipped payloads.
+ */
+export function compressStoredValue (adapter, storedValue, threshold = 0) {
+  const { meta, payload } = splitStoredValue(adapter, storedValue)
+  const text = adapter.structured ? richSerializer.serialize(payload) : payload
+
+  const keep = raw => ({ storedValue, size: { raw, stored: raw } })
+  const replace = (codec, compressed, size) => ({
+    storedValue: joinStoredValue(
+      adapter,
+      { ...meta, [COMPRESSED]: codec },
+      compressed
+    ),
+    size
+  })
+
+  if (adapter.structured && hasCompressionStreams()) {
+    const bytes = new TextEncoder().encode(text)
+    if (bytes.length < threshold) return keep(bytes.length)
+    const gzip = new CompressionStream('gzip')
+    return transformBytes(bytes, gzip).then(compressed => {
+      if (compressed.length >= bytes.length) return keep(bytes.length)
+      const size = { raw: bytes.length, stored: compressed.length }
+      return replace(GZIP, compressed, size)
+    })
+  }
+
+  const raw = text.length * 2
+  if (raw < threshold) return keep(raw)
+  const compressed = compressText(text)
+  return compressed.length < text.length
+    ? replace(LZ, compressed, { raw, stored: compressed.length * 2 })
+    : keep(raw)
+}
+
+/**
+ * Reverses `compressStoredValue`. Uncompressed values are returned as they
+ * are.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue
+ * @returns {{ storedValue: any, size: StoredSize } | Promise<{ storedValue: any, size: StoredSize }>} A promise for gzipped payloads.
+ * @throws {Error} If the payload is corrupt, or gzipped without Compression Streams support.
+ */
+export function decompressStoredValue (adapter, storedValue) {
+  const { meta, payload } = splitStoredValue(adapter, storedValue)
+  const codec = meta[COMPRESSED]
+
+  if (!codec) {
+    const raw = adapter.structured
+      ? new TextEncoder().encode(richSerializer.serialize(payload)).length
+      : payload.length * 2
+    return { storedValue, size: { raw, stored: raw } }
+  }
+
+  const plainMeta = { ...meta }
+  delete plainMeta[COMPRESSED]
+  const restore = (text, size) => ({
+    storedValue: joinStoredValue(
+      adapter,
+      plainMeta,
+      adapter.structured ? richSerializer.deserialize(text) : text
+    ),
+    size
+  })
+
+  if (codec === LZ) {
+    const text = decompressText(payload)
+    return restore(text, { raw: text.length * 2, stored: payload.length * 2 })
+  }
+  if (codec === GZIP && hasCompressionStreams()) {
+    const gunzip = new DecompressionStream('gzip')
+    return transformBytes(payload, gunzip).then(bytes => {
+      const size = { raw: bytes.length, stored: payload.length }
+      return restore(new TextDecoder().decode(bytes), size)
+    })
+  }
+  throw new Error(`Unsupported compression "${codec}"`)
+}
+
+/**
+ * Wraps an adapter so payloads are compressed before they are stored or
+ * sent to other tabs, and decompressed when loaded or received. On top of
+ * Web Storage, the wrapper stays synchronous.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {CompressionConfig} config
+ * @param {object} handlers
+ * @param {(storageKey: string, size: StoredSize | null) => void} handlers.onSize - Receives the size of each value written or loaded.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [handlers.onError] - Reports values that failed to sync. Defaults to console logging.
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createCompressedAdapter (
+  adapter,
+  { threshold = 0 },
+  { onSize, onError = logError }
+) {
+  const compress = value =>
+    andThen(
+      compressStoredValue(adapter, value, threshold),
+      result => result.storedValue
+    )
+
+  const decompress = storedValue => {
+    if (storedValue === undefined) return undefined
+    return andThen(
+      decompressStoredValue(adapter, storedValue),
+      result => result.storedValue
+    )
+  }
+
+  return {
+    ...adapter,
+    get: storageKey =>
+      andThen(adapter.get(storageKey), storedValue => {
+        if (storedValue === undefined) return undefined
+        return andThen(
+          decompressStoredValue(adapter, storedValue),
+          ({ storedValue, size }) => {
+            onSize(storageKey, size)
+            return storedValue
+          }
+        )
+      }),
+    set: (storageKey, value) =>
+      andThen(
+        compressStoredValue(adapter, value, threshold),
+        ({ storedValue, size }) => {
+          onSize(storageKey, size)
+          return adapter.set(storageKey, storedValue)
+        }
+      ),
+    remove: storageKey => {
+      onSize(storageKey, null)
+      return adapter.remove(storageKey)
+    },
+    publish:
+      adapter.publish &&
+      ((storageKey, value, transport) =>
+        settle(
+          () => (value === undefined ? undefined : compress(value)),
+          compressed => adapter.publish(storageKey, compressed, transport),
+          e =>
+            onError(
+              createAdvancedStateError(
+                'SYNC_FAILED',
+                `Failed to notify other tabs of ${storageKey}`,
+                { storageKey, cause: e }
+              )
+            )
+        )),
+    subscribe:
+      adapter.subscribe &&
+      ((storageKey, callback, transport) => {
+        // Values still decompressing when unsubscribed are dropped
+        let isSubscribed = true
+        const unsubscribe = adapter.subscribe(
+          storageKey,
+          (storedValue, via) =>
+            settle(
+              () => decompress(storedValue),
+              value => {
+                if (isSubscribed) callback(value, via)
+              },
+              e =>
+                onError(
+                  createAdvancedStateError(
+                    'DECOMPRESS_FAILED',
+                    `Ignored a value of ${storageKey} from another tab that failed to decompress`,
+                    { storageKey, cause: e }
+                  )
+                )
+            ),
+          transport
+        )
+        return () => {
+          isSubscribed = false
+          unsubscribe()
+        }
+      })
+  }
+}
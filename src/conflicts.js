@@ -0,0 +1,168 @@
+// src/conflicts.js
+
+import { getTabSessionId } from './utils'
+import { createAdvancedStateError } from './errors'
+
+/**
+ * A logical clock stamped on changes of keys with `resolveConflict`. Clocks
+ * are totally ordered (by time, then tab id), so every tab picks the same
+ * winner whatever order writes arrive in.
+ * @typedef {object} Clock
+ * @property {number} t - Milliseconds, never lower than a clock seen before.
+ * @property {string} tab - The session id of the tab that made the change.
+ */
+
+/**
+ * @typedef {object} ConflictMeta
+ * @property {string} key
+ * @property {Clock} [localClock] - The clock of the local value, if known.
+ * @property {Clock} remoteClock
+ * @property {boolean} hasPendingWrite - Whether the local value has not been written yet (debounce).
+ */
+
+/**
+ * @typedef {'last-writer-wins' | 'keep-local' | ((local: any, remote: any, meta: ConflictMeta) => any)} ConflictStrategy
+ */
+
+const STRATEGIES = ['last-writer-wins', 'keep-local']
+
+// The highest clock time seen in this tab
+let lastTime = 0
+// Clocks of the values this tab holds, by storage key
+const knownClocks = new Map()
+
+/**
+ * Orders two clocks. A missing clock is older than any clock.
+ * @param {Clock} [a]
+ * @param {Clock} [b]
+ * @returns {number} Negative if `a` is older, positive if newer, 0 if equal.
+ */
+export function compareClocks (a, b) {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0)
+  if (a.t !== b.t) return a.t - b.t
+  if (a.tab === b.tab) return 0
+  return a.tab < b.tab ? -1 : 1
+}
+
+/**
+ * Stamps a local change with a clock newer than any clock seen so far.
+ * @param {string} storageKey
+ * @returns {Clock}
+ */
+export function tick (storageKey) {
+  lastTime = Math.max(Date.now(), lastTime + 1)
+  const clock = { t: lastTime, tab: getTabSessionId() }
+  knownClocks.set(storageKey, clock)
+  return clock
+}
+
+/**
+ * Records the clock of a value adopted from storage or another tab.
+ * @param {string} storageKey
+ * @param {Clock} [clock]
+ */
+export function adoptClock (storageKey, clock) {
+  if (!clock) return
+  lastTime = Math.max(lastTime, clock.t)
+  knownClocks.set(storageKey, clock)
+}
+
+/**
+ * Returns the clock to write a value with: the clock of its change, or a
+ * new one for values that were never stamped (e.g. defaults).
+ * @param {string} storageKey
+ * @returns {Clock}
+ */
+export function getWriteClock (storageKey) {
+  return knownClocks.get(storageKey) || tick(storageKey)
+}
+
+/**
+ * Checks the `resolveConflict` option of a key. Unknown strategies resolve
+ * like `'last-writer-wins'`.
+ * @param {string} key
+ * @param {ConflictStrategy} [strategy]
+ * @returns {import('./errors').AdvancedStateError | null} The error to report, if the strategy is unknown.
+ */
+export function validateConflictStrategy (key, strategy) {
+  if (
+    !strategy ||
+    typeof strategy === 'function' ||
+    STRATEGIES.includes(strategy)
+  ) {
+    return null
+  }
+  return createAdvancedStateError(
+    'INVALID_CONFIG',
+    `Unknown conflict strategy "${strategy}" for ${key}, using "last-writer-wins"`,
+    { key }
+  )
+}
+
+/**
+ * Decides how a write from another tab is applied:
+ * - `'remote'`: adopt the remote value. With `cancelWrite`, a pending local
+ *   write lost against it and must be dropped.
+ * - `'local'`: keep the local value. With `repair`, the local value is newer
+ *   and is written again, so storage and other tabs converge on it.
+ * - `'merged'`: commit `value`, the result of the merge callback.
+ *
+ * Only the tab holding the newer value resolves a conflict; the other tab
+ * adopts the newer value, and later the resolution. Writes without a clock
+ * (e.g. removals, or tabs without `resolveConflict`) are always adopted.
+ * @param {object} params
+ * @param {string} params.key
+ * @param {string} params.storageKey
+ * @param {ConflictStrategy} params.strategy
+ * @param {any} params.localValue
+ * @param {any} params.remoteValue
+ * @param {Clock} [params.remoteClock]
+ * @param {boolean} params.hasPendingWrite
+ * @returns {{ outcome: 'remote' | 'local' | 'merged', value?: any, repair?: boolean, cancelWrite?: boolean }}
+ */
+export function resolveRemoteWrite ({
+  key,
+  storageKey,
+  strategy,
+  localValue,
+  remoteValue,
+  remoteClock,
+  hasPendingWrite
+}) {
+  if (!remoteClock) return { outcome: 'remote', cancelWrite: hasPendingWrite }
+
+  const localClock = knownClocks.get(storageKey)
+  const order = compareClocks(remoteClock, localClock)
+  if (order === 0) return { outcome: 'local' }
+  lastTime = Math.max(lastTime, remoteClock.t)
+
+  const merge = () => ({
+    outcome: 'merged',
+    value: strategy(localValue, remoteValue, {
+      key,
+      localClock,
+      remoteClock,
+      hasPendingWrite
+    })
+  })
+
+  // An older write, e.g. delivered out of order, or racing a local change
+  if (order < 0) {
+    if (typeof strategy === 'function') return merge()
+    return { outcome: 'local', repair: !hasPendingWrite }
+  }
+
+  // A newer write. It races a local change only if that has not been
+  // written yet; otherwise it simply supersedes the local value.
+  if (hasPendingWrite) {
+    if (typeof strategy === 'function') return merge()
+    if (strategy === 'keep-local') {
+      // Re-stamps the local change so its pending write supersedes the
+      // remote one
+      tick(storageKey)
+      return { outcome: 'local' }
+    }
+  }
+  adoptClock(storageKey, remoteClock)
+  return { outcome: 'remote', cancelWrite: hasPendingWrite }
+}
@@ -0,0 +1,149 @@
+// src/cookies.js
+
+import { readStoredValue } from './codec'
+import { getScope, getScopeStorageKey } from './scoping'
+
+// Browsers drop cookies whose name and value exceed this size
+export const MAX_COOKIE_SIZE = 4096
+
+const YEAR = 365 * 24 * 60 * 60 * 1000
+
+/**
+ * @typedef {object} CookieConfig
+ * @property {number} [maxAge=31536000000] - Lifetime of the cookie in ms.
+ * @property {string} [path='/']
+ * @property {string} [domain]
+ * @property {'lax' | 'strict' | 'none'} [sameSite='lax']
+ * @property {boolean} [secure] - Defaults to `true` on HTTPS pages.
+ */
+
+/**
+ * Parses a `Cookie` header, or `document.cookie`.
+ * @param {string} [header]
+ * @returns {Map<string, string>} The decoded values, by decoded name.
+ */
+export function parseCookies (header) {
+  const cookies = new Map()
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=')
+    if (index < 0) continue
+    try {
+      const name = decodeURIComponent(pair.slice(0, index).trim())
+      // The first cookie of a name is the one of the most specific path
+      if (!cookies.has(name)) {
+        cookies.set(name, decodeURIComponent(pair.slice(index + 1).trim()))
+      }
+    } catch (e) {
+      // Cookies of other libraries may not be URI-encoded
+    }
+  }
+  return cookies
+}
+
+function serializeCookie (name, value, config, maxAge) {
+  const { path = '/', domain, sameSite = 'lax' } = config
+  const secure =
+    config.secure === undefined
+      ? typeof window !== 'undefined' && window.location.protocol === 'https:'
+      : config.secure
+  return [
+    `${encodeURIComponent(name)}=${encodeURIComponent(value)}`,
+    `Max-Age=${Math.round(maxAge / 1000)}`,
+    `Path=${path}`,
+    domain && `Domain=${domain}`,
+    `SameSite=${sameSite}`,
+    secure && 'Secure'
+  ]
+    .filter(Boolean)
+    .join('; ')
+}
+
+/**
+ * Creates the error thrown for values too large to be stored in a cookie.
+ * @param {string} name
+ * @param {number} size
+ * @returns {Error}
+ */
+function createCookieSizeError (name, size) {
+  const error = new Error(
+    `Cookie ${name} is ${size} bytes, more than the ${MAX_COOKIE_SIZE} bytes browsers store`
+  )
+  error.name = 'CookieSizeError'
+  error.size = size
+  return error
+}
+
+/**
+ * Creates an adapter that stores values in cookies, so the server receives
+ * them with every request. Cookies are string-based, URI-encoded and shared
+ * by all tabs; cross-tab notifications are sent over the store's
+ * transport.
+ * @param {CookieConfig} [config]
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createCookieAdapter (config = {}) {
+  const { maxAge = YEAR } = config
+
+  return {
+    get: storageKey => parseCookies(document.cookie).get(storageKey),
+    // Oversized cookies would be dropped silently, so the write fails
+    // instead
+    set: (storageKey, value) => {
+      const cookie = serializeCookie(storageKey, value, config, maxAge)
+      const size = cookie.indexOf(';')
+      if (size > MAX_COOKIE_SIZE) throw createCookieSizeError(storageKey, size)
+      document.cookie = cookie
+    },
+    remove: storageKey => {
+      document.cookie = serializeCookie(storageKey, '', config, 0)
+    },
+    keys: prefix =>
+      [...parseCookies(document.cookie).keys()].filter(name =>
+        name.startsWith(prefix)
+      ),
+    publish: (storageKey, value, transport) =>
+      transport.publish(storageKey, value),
+    subscribe: (storageKey, callback, transport) =>
+      transport.subscribe(storageKey, callback)
+  }
+}
+
+/**
+ * Reads the values of `persist: 'cookie'` keys from a request's `Cookie`
+ * header on the server, e.g. for the provider's `initialState`. Keys are
+ * resolved like in the browser, URL scopes from the request's URL.
+ * Unreadable, invalid and expired values are left out.
+ * @param {string} [cookieHeader]
+ * @param {object} [options]
+ * @param {string} [options.prefix='advState']
+ * @param {Array<object>} [options.defaults=[]] - The provider's `defaults`.
+ * @param {string} [options.url] - The request URL (absolute, or a path with query and hash).
+ * @param {object} [options.scopeContext={}] - The provider's `scopeContext`.
+ * @returns {Object<string, any>}
+ */
+export function readCookieState (cookieHeader, options = {}) {
+  const { prefix = 'advState', defaults = [], url, scopeContext } = options
+  const cookies = parseCookies(cookieHeader)
+  const { pathname, search, hash } = new URL(url || '/', 'http://localhost')
+  const location = { pathname, search, hash }
+  // Names are not rewritten, like the built-in adapter's
+  const adapter = {}
+
+  const state = {}
+  for (const config of defaults) {
+    // Encrypted and compressed values are decoded asynchronously
+    if (config.persist !== 'cookie' || config.encrypt || config.compress) {
+      continue
+    }
+    const scope = getScope(config, location, scopeContext)
+    if (scope === false) continue
+    const storageKey = getScopeStorageKey(adapter, prefix, scope, config.key)
+    try {
+      const record = readStoredValue(adapter, cookies.get(storageKey), config)
+      if (record && !record.expired) state[config.key] = record.value
+    } catch (e) {
+      // Left to the client, which reports it
+    }
+  }
+  return state
+}
@@ -0,0 +1,93 @@
+// src/devtools.js
+
+/**
+ * @typedef {object} DevToolsConfig
+ * @property {string} [name='AdvancedState'] - The instance name shown in the extension.
+ * @property {number} [maxAge=50] - Number of actions kept for time travel.
+ */
+
+/**
+ * Connects a store to the Redux DevTools extension. Every `setState` and
+ * `setSilent` is sent as an action; jumping to an earlier action restores
+ * the store. Restored values are not written to storage.
+ * @param {object} store
+ * @param {DevToolsConfig} [config]
+ * @returns {() => void} Disconnects the store.
+ */
+export function connectDevTools (store, config = {}) {
+  const extension =
+    typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__
+  if (!extension) return () => {}
+
+  const { name = 'AdvancedState', maxAge = 50 } = config
+  const devTools = extension.connect({ name, maxAge })
+
+  // Snapshots by DevTools action id. The extension only keeps serialized
+  // states, which would lose Maps, Dates and object identity on restore.
+  const snapshots = new Map()
+  let nextActionId = 0
+
+  const init = () => {
+    snapshots.clear()
+    const snapshot = store.getSnapshot()
+    snapshots.set(0, snapshot)
+    nextActionId = 1
+    devTools.init(snapshot)
+  }
+
+  const restore = (actionId, serializedState) => {
+    if (snapshots.has(actionId)) {
+      store.restore(snapshots.get(actionId))
+    } else if (serializedState) {
+      store.restore(JSON.parse(serializedState))
+    }
+  }
+
+  init()
+
+  const stopObserving = store.observe(change => {
+    const { type, key, prev, next, source, scope } = change
+    const snapshot = store.getSnapshot()
+    snapshots.set(nextActionId, snapshot)
+    snapshots.delete(nextActionId - maxAge)
+    nextActionId++
+
+    devTools.send(
+      {
+        type: `${key}/${source}`,
+        key,
+        prev,
+        next,
+        scope,
+        source,
+        silent: type === 'setSilent'
+      },
+      snapshot
+    )
+  })
+
+  const unsubscribe = devTools.subscribe(message => {
+    if (message.type !== 'DISPATCH' || !message.payload) return
+
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION':
+        restore(message.payload.actionId, message.state)
+        break
+      case 'ROLLBACK':
+        restore(0, message.state)
+        init()
+        break
+      case 'COMMIT':
+        init()
+        break
+    }
+  })
+
+  // `extension.disconnect()` would close the connections of other stores
+  // on the page as well
+  return () => {
+    stopObserving()
+    if (typeof unsubscribe === 'function') unsubscribe()
+  }
+}
@@ -0,0 +1,240 @@
+// src/encryption.js
+
+import { splitStoredValue, joinStoredValue } from './codec'
+import { richSerializer } from './serializers'
+import { createAdvancedStateError, logError } from './errors'
+
+// Marks envelopes with an encrypted payload: 1 for a (serialized) text,
+// 2 for raw bytes, e.g. a compressed payload
+const ENCRYPTED = 'e'
+const TEXT = 1
+const BYTES = 2
+// AES-GCM nonce length, prepended to the ciphertext
+const IV_LENGTH = 12
+
+/**
+ * An AES-GCM key, or a function returning one (or a promise of one).
+ * @typedef {CryptoKey | (() => CryptoKey | Promise<CryptoKey>)} EncryptionKeyProvider
+ */
+
+function toBase64 (bytes) {
+  let binary = ''
+  // Chunked, as spreading a large array exceeds the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function fromBase64 (text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+async function encryptBytes (key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    plaintext
+  )
+  const bytes = new Uint8Array(IV_LENGTH + ciphertext.byteLength)
+  bytes.set(iv)
+  bytes.set(new Uint8Array(ciphertext), IV_LENGTH)
+  return bytes
+}
+
+async function decryptBytes (key, bytes) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.subarray(0, IV_LENGTH) },
+    key,
+    bytes.subarray(IV_LENGTH)
+  )
+  return new Uint8Array(plaintext)
+}
+
+/**
+ * Encrypts the payload of a stored representation. The envelope metadata
+ * (expiry, version, clock) stays readable, so the garbage collector can
+ * sweep expired values without the key.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue - The representation `encodeValue` returned.
+ * @param {CryptoKey} key
+ * @returns {Promise<any>}
+ */
+export async function encryptStoredValue (adapter, storedValue, key) {
+  const { meta, payload } = splitStoredValue(adapter, storedValue)
+  const isBytes = adapter.structured && payload instanceof Uint8Array
+  let plaintext = payload
+  if (!isBytes) {
+    // Structured targets hold JS values, which are serialized first
+    const text = adapter.structured
+      ? richSerializer.serialize(payload)
+      : payload
+    plaintext = new TextEncoder().encode(text)
+  }
+  const bytes = await encryptBytes(key, plaintext)
+  return joinStoredValue(
+    adapter,
+    { ...meta, [ENCRYPTED]: isBytes ? BYTES : TEXT },
+    adapter.structured ? bytes : toBase64(bytes)
+  )
+}
+
+/**
+ * Reverses `encryptStoredValue`. Values stored before encryption was
+ * enabled are returned as they are.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {any} storedValue
+ * @param {CryptoKey} key
+ * @returns {Promise<any>} Rejects if the value can't be decrypted, e.g. with another key.
+ */
+export async function decryptStoredValue (adapter, storedValue, key) {
+  const { meta, payload } = splitStoredValue(adapter, storedValue)
+  if (!meta[ENCRYPTED]) return storedValue
+
+  const bytes = await decryptBytes(
+    key,
+    adapter.structured ? payload : fromBase64(payload)
+  )
+  const plainMeta = { ...meta }
+  delete plainMeta[ENCRYPTED]
+  if (meta[ENCRYPTED] === BYTES) {
+    return joinStoredValue(adapter, plainMeta, bytes)
+  }
+  const text = new TextDecoder().decode(bytes)
+  return joinStoredValue(
+    adapter,
+    plainMeta,
+    adapter.structured ? richSerializer.deserialize(text) : text
+  )
+}
+
+/**
+ * Caches the key of a provider, so an async provider runs once. A failed
+ * provider is asked again on the next use.
+ * @returns {{ setProvider: (provider?: EncryptionKeyProvider) => void, getKey: () => Promise<CryptoKey> }}
+ */
+export function createKeyCache () {
+  let provider
+  let pendingKey = null
+
+  return {
+    setProvider: nextProvider => {
+      if (nextProvider === provider) return
+      provider = nextProvider
+      pendingKey = null
+    },
+    getKey: () => {
+      if (pendingKey) return pendingKey
+
+      const currentProvider = provider
+      const keyPromise = Promise.resolve().then(() => {
+        if (!currentProvider) {
+          throw new Error('No `encryptionKey` is configured')
+        }
+        return typeof currentProvider === 'function'
+          ? currentProvider()
+          : currentProvider
+      })
+      pendingKey = keyPromise
+      keyPromise.catch(() => {
+        if (pendingKey === keyPromise) pendingKey = null
+      })
+      return keyPromise
+    }
+  }
+}
+
+/**
+ * Wraps an adapter so values are encrypted before they are stored or sent
+ * to other tabs, and decrypted when loaded or received. The wrapper is
+ * asynchronous, also on top of Web Storage.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {() => Promise<CryptoKey>} getKey
+ * @param {(error: import('./errors').AdvancedStateError) => void} [onError] - Reports values that failed to decrypt or sync. Defaults to console logging.
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createEncryptedAdapter (adapter, getKey, onError = logError) {
+  const encrypt = async storedValue =>
+    storedValue === undefined
+      ? undefined
+      : encryptStoredValue(adapter, storedValue, await getKey())
+
+  const decrypt = async storedValue =>
+    storedValue === undefined
+      ? undefined
+      : decryptStoredValue(adapter, storedValue, await getKey())
+
+  return {
+    ...adapter,
+    async: true,
+    get: async storageKey => {
+      const storedValue = await adapter.get(storageKey)
+      const key = await getKey()
+      try {
+        return storedValue === undefined
+          ? undefined
+          : await decryptStoredValue(adapter, storedValue, key)
+      } catch (e) {
+        // E.g. after a key rotation. The value is treated as missing, so
+        // the key falls back to its initial value.
+        onError(
+          createAdvancedStateError(
+            'DECRYPT_FAILED',
+            `Failed to decrypt ${storageKey}, using the initial value`,
+            { storageKey, cause: e }
+          )
+        )
+        return undefined
+      }
+    },
+    set: async (storageKey, value) =>
+      adapter.set(storageKey, await encrypt(value)),
+    remove: storageKey => adapter.remove(storageKey),
+    publish:
+      adapter.publish &&
+      ((storageKey, value, transport) =>
+        encrypt(value)
+          .then(encrypted => adapter.publish(storageKey, encrypted, transport))
+          .catch(e =>
+            onError(
+              createAdvancedStateError(
+                'SYNC_FAILED',
+                `Failed to notify other tabs of ${storageKey}`,
+                { storageKey, cause: e }
+              )
+            )
+          )),
+    subscribe:
+      adapter.subscribe &&
+      ((storageKey, callback, transport) => {
+        // Values still decrypting when unsubscribed are dropped
+        let isSubscribed = true
+        const unsubscribe = adapter.subscribe(
+          storageKey,
+          (storedValue, via) =>
+            decrypt(storedValue).then(
+              value => {
+                if (isSubscribed) callback(value, via)
+              },
+              e =>
+                onError(
+                  createAdvancedStateError(
+                    'DECRYPT_FAILED',
+                    `Ignored a value of ${storageKey} from another tab that failed to decrypt`,
+                    { storageKey, cause: e }
+                  )
+                )
+            ),
+          transport
+        )
+        return () => {
+          isSubscribed = false
+          unsubscribe()
+        }
+      })
+  }
+}
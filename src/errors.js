@@ -0,0 +1,79 @@
+// src/errors.js
+
+/**
+ * What failed:
+ * - `PARSE_FAILED`: A stored or received value could not be read.
+ * - `VALIDATION_FAILED`: A value was rejected by `validate`.
+ * - `QUOTA_EXCEEDED`: Storage was full.
+ * - `STORAGE_READ_FAILED`, `STORAGE_WRITE_FAILED`: Web Storage (or a custom adapter) failed.
+ * - `IDB_READ_FAILED`, `IDB_WRITE_FAILED`: IndexedDB failed.
+ * - `DECRYPT_FAILED`, `DECOMPRESS_FAILED`: A value could not be decrypted or decompressed.
+ * - `SYNC_FAILED`: A change could not be sent to, or received from, other tabs.
+ * - `SWEEP_FAILED`: The garbage collector could not sweep a target.
+ * - `INVALID_CONFIG`: An option has a value the hook does not support.
+ * @typedef {'PARSE_FAILED' | 'VALIDATION_FAILED' | 'QUOTA_EXCEEDED' | 'STORAGE_READ_FAILED' | 'STORAGE_WRITE_FAILED' | 'IDB_READ_FAILED' | 'IDB_WRITE_FAILED' | 'DECRYPT_FAILED' | 'DECOMPRESS_FAILED' | 'SYNC_FAILED' | 'SWEEP_FAILED' | 'INVALID_CONFIG'} ErrorCode
+ */
+
+/**
+ * An error delivered to `onError`. Fields that don't apply, e.g. the key of
+ * a sweep, are `undefined`.
+ * @typedef {Error & { code: ErrorCode, key?: string, storageKey?: string, persist?: string, cause?: any, size?: number }} AdvancedStateError
+ */
+
+// Codes logged with console.error by default; all others are warnings
+const SEVERE_CODES = ['PARSE_FAILED', 'STORAGE_READ_FAILED', 'IDB_READ_FAILED']
+
+const IDB_TARGETS = ['localdb', 'sessiondb']
+
+/**
+ * @param {ErrorCode} code
+ * @param {string} message
+ * @param {{ key?: string, storageKey?: string, persist?: any, cause?: any, size?: number }} [details]
+ * @returns {AdvancedStateError}
+ */
+export function createAdvancedStateError (code, message, details = {}) {
+  const error = new Error(message)
+  error.name = 'AdvancedStateError'
+  error.code = code
+  error.key = details.key
+  error.storageKey = details.storageKey
+  // Custom adapters are objects, which say nothing in a report
+  error.persist =
+    typeof details.persist === 'string' ? details.persist : undefined
+  error.cause = details.cause
+  if (details.size !== undefined) error.size = details.size
+  return error
+}
+
+/**
+ * @param {any} persist
+ * @returns {ErrorCode}
+ */
+export function getReadErrorCode (persist) {
+  return IDB_TARGETS.includes(persist)
+    ? 'IDB_READ_FAILED'
+    : 'STORAGE_READ_FAILED'
+}
+
+/**
+ * @param {any} persist
+ * @returns {ErrorCode}
+ */
+export function getWriteErrorCode (persist) {
+  return IDB_TARGETS.includes(persist)
+    ? 'IDB_WRITE_FAILED'
+    : 'STORAGE_WRITE_FAILED'
+}
+
+/**
+ * The default handler: logs the error to the console.
+ * @param {AdvancedStateError} error
+ */
+export function logError (error) {
+  const log = SEVERE_CODES.includes(error.code) ? console.error : console.warn
+  if (error.cause === undefined) {
+    log(`[AdvancedState] ${error.message}.`)
+  } else {
+    log(`[AdvancedState] ${error.message}:`, error.cause)
+  }
+}
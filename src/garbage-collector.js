@@ -0,0 +1,269 @@
+// src/garbage-collector.js
+
+import { idb } from './idb-wrapper'
+import { SESSIONDB_PREFIX } from './storage-adapters'
+import {
+  readStoredMeta,
+  isExpiredMeta,
+  splitStoredValue,
+  joinStoredValue
+} from './codec'
+import { HISTORY_SUFFIX } from './history'
+import { createAdvancedStateError, logError } from './errors'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const STRUCTURED = { structured: true }
+const STRING_BASED = { structured: false }
+
+/**
+ * @typedef {object} GcConfig
+ * @property {number | Object<string, number>} [maxAge={ sessiondb: 86400000 }] - Maximum entry age in ms, for all targets or per target.
+ * @property {number} [interval=0] - Repeats the sweep every `interval` ms while the provider is mounted.
+ * @property {Array<'local' | 'session' | 'localdb' | 'sessiondb'>} [targets=['sessiondb']] - Targets to sweep.
+ * @property {boolean} [removeOrphans=false] - Removes `<prefix>:*` entries whose key is neither in `defaults` nor in `allowList`.
+ * @property {Array<string>} [allowList=[]] - Keys that are never treated as orphans.
+ * @property {boolean} [dryRun=false] - Reports what would be deleted without deleting it.
+ * @property {(report: { dryRun: boolean, swept: Array<{ target: string, storageKey: string, reason: string }> }) => void} [onSweep] - Receives the result of each sweep.
+ */
+
+export const defaultGcConfig = {
+  maxAge: { sessiondb: DAY },
+  interval: 0,
+  targets: ['sessiondb'],
+  removeOrphans: false,
+  allowList: [],
+  dryRun: false
+}
+
+// Targets only the current tab can reach, so every tab sweeps its own
+const TAB_TARGETS = ['session']
+
+/**
+ * Narrows a config to the targets of the current tab, for tabs that are
+ * not the leader.
+ * @param {GcConfig} [config]
+ * @returns {GcConfig | null} `null` if there is nothing left to sweep.
+ */
+export function getFollowerGcConfig (config = {}) {
+  const targets = (config.targets || defaultGcConfig.targets).filter(target =>
+    TAB_TARGETS.includes(target)
+  )
+  return targets.length > 0 ? { ...config, targets } : null
+}
+
+function getMaxAge (maxAge, target) {
+  if (typeof maxAge === 'number') return maxAge
+  return maxAge ? maxAge[target] : undefined
+}
+
+/**
+ * @param {GcConfig | false} [config] - The provider's `gc` prop.
+ * @param {string} target
+ * @returns {boolean} Whether the garbage collector sweeps the target by age.
+ */
+export function isSweptByAge (config, target) {
+  if (config === false) return false
+  const { targets, maxAge } = { ...defaultGcConfig, ...config }
+  return targets.includes(target) && getMaxAge(maxAge, target) !== undefined
+}
+
+/**
+ * Wraps a Web Storage adapter so written values carry their write time
+ * (`ts`) while it is needed: while the garbage collector sweeps the target
+ * by age, or a quota policy evicts keys. Other values are stored as-is.
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {() => boolean} isStamped - Read on every write.
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createTimestampedAdapter (adapter, isStamped) {
+  return {
+    ...adapter,
+    set: (storageKey, value) => {
+      if (!isStamped()) return adapter.set(storageKey, value)
+      const { meta, payload } = splitStoredValue(adapter, value)
+      return adapter.set(
+        storageKey,
+        joinStoredValue(adapter, { ...meta, ts: Date.now() }, payload)
+      )
+    }
+  }
+}
+
+/**
+ * Checks whether a `<prefix>:[<scope>:]<key>` storage key belongs to a key
+ * that is no longer configured.
+ * @param {string} baseKey - The storage key without the sessiondb namespace.
+ * @param {string} prefix
+ * @param {Set<string>} knownKeys
+ * @returns {boolean}
+ */
+function isOrphan (baseKey, prefix, knownKeys) {
+  if (!baseKey.startsWith(`${prefix}:`)) return false
+  // A persisted undo history belongs to the key of its value
+  const valueKey = baseKey.endsWith(HISTORY_SUFFIX)
+    ? baseKey.slice(0, -HISTORY_SUFFIX.length)
+    : baseKey
+  const rest = valueKey.slice(prefix.length + 1)
+  for (const key of knownKeys) {
+    if (rest === key || rest.endsWith(`:${key}`)) return false
+  }
+  return true
+}
+
+/**
+ * Decides whether an entry is swept.
+ * @returns {'expired' | 'max-age' | 'orphan' | null}
+ */
+function getSweepReason (target, { baseKey, meta, timestamp }, context) {
+  const { config, prefix, knownKeys, now } = context
+
+  if (isExpiredMeta(meta, now)) return 'expired'
+
+  const maxAge = getMaxAge(config.maxAge, target)
+  if (maxAge !== undefined && timestamp && now - timestamp > maxAge) {
+    return 'max-age'
+  }
+  if (config.removeOrphans && isOrphan(baseKey, prefix, knownKeys)) {
+    return 'orphan'
+  }
+  return null
+}
+
+function sweepWebStorage (storage, target, context) {
+  const { prefix, config } = context
+
+  // Collect first: removing items while iterating shifts their indices
+  const storageKeys = []
+  for (let i = 0; i < storage.length; i++) {
+    const storageKey = storage.key(i)
+    if (storageKey && storageKey.startsWith(`${prefix}:`)) {
+      storageKeys.push(storageKey)
+    }
+  }
+
+  const swept = []
+  for (const storageKey of storageKeys) {
+    let meta
+    try {
+      meta = readStoredMeta(STRING_BASED, storage.getItem(storageKey))
+    } catch (e) {
+      meta = {} // Not an envelope written by us, it can only be an orphan
+    }
+    const reason = getSweepReason(
+      target,
+      { baseKey: storageKey, meta, timestamp: meta.ts },
+      context
+    )
+    if (reason) {
+      swept.push({ target, storageKey, reason })
+      if (!config.dryRun) storage.removeItem(storageKey)
+    }
+  }
+  return swept
+}
+
+async function sweepIdb (context) {
+  const { prefix, config } = context
+  const sweepLocal = config.targets.includes('localdb')
+  const sweepSession = config.targets.includes('sessiondb')
+  if (!sweepLocal && !sweepSession) return []
+
+  const swept = await idb.sweep(
+    (storageKey, record) => {
+      if (typeof storageKey !== 'string') return null
+
+      let target = 'localdb'
+      let baseKey = storageKey
+      if (storageKey.startsWith(SESSIONDB_PREFIX)) {
+        target = 'sessiondb'
+        // Strip "__sessiondb__:<tab-fingerprint>:"
+        const rest = storageKey.slice(SESSIONDB_PREFIX.length)
+        baseKey = rest.slice(rest.indexOf(':') + 1)
+      } else if (!storageKey.startsWith(`${prefix}:`)) {
+        return null
+      }
+      if (!config.targets.includes(target)) return null
+
+      // Records without a timestamp are legacy v1 data stored as-is
+      const hasTimestamp = !!(record && record.__ts)
+      const payload = hasTimestamp ? record.payload : record
+      return getSweepReason(
+        target,
+        {
+          baseKey,
+          meta: readStoredMeta(STRUCTURED, payload),
+          timestamp: hasTimestamp ? record.__ts : undefined
+        },
+        context
+      )
+    },
+    { dryRun: config.dryRun }
+  )
+
+  return (swept || []).map(({ key, reason }) => ({
+    target: key.startsWith(SESSIONDB_PREFIX) ? 'sessiondb' : 'localdb',
+    storageKey: key,
+    reason
+  }))
+}
+
+/**
+ * Sweeps expired, outdated and (optionally) orphaned entries from the
+ * configured targets.
+ * @param {object} params
+ * @param {string} params.prefix - The provider prefix.
+ * @param {Iterable<string>} params.keys - Keys configured in `defaults`.
+ * @param {GcConfig} [params.config]
+ * @param {(error: import('./errors').AdvancedStateError) => void} [params.onError] - Reports targets that failed to sweep. Defaults to console logging.
+ * @returns {Promise<Array<{ target: string, storageKey: string, reason: string }>>}
+ */
+export async function runGarbageCollection ({
+  prefix,
+  keys,
+  config = {},
+  onError = logError
+}) {
+  const resolvedConfig = { ...defaultGcConfig, ...config }
+  const context = {
+    config: resolvedConfig,
+    prefix,
+    knownKeys: new Set([...keys, ...resolvedConfig.allowList]),
+    now: Date.now()
+  }
+
+  const swept = []
+  for (const target of ['local', 'session']) {
+    if (!resolvedConfig.targets.includes(target)) continue
+    try {
+      const storage = target === 'local' ? localStorage : sessionStorage
+      swept.push(...sweepWebStorage(storage, target, context))
+    } catch (e) {
+      onError(
+        createAdvancedStateError(
+          'SWEEP_FAILED',
+          `${target} storage sweep failed`,
+          { persist: target, cause: e }
+        )
+      )
+    }
+  }
+
+  try {
+    swept.push(...(await sweepIdb(context)))
+  } catch (e) {
+    onError(
+      createAdvancedStateError('SWEEP_FAILED', 'IDB sweep failed', { cause: e })
+    )
+  }
+
+  if (resolvedConfig.onSweep) {
+    resolvedConfig.onSweep({ dryRun: resolvedConfig.dryRun, swept })
+  } else if (resolvedConfig.dryRun && swept.length > 0) {
+    console.info(
+      '[AdvancedState] Garbage collection (dry run) would remove:',
+      swept
+    )
+  }
+  return swept
+}
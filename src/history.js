@@ -0,0 +1,110 @@
+// src/history.js
+
+// A persisted history is stored next to its value, under the value's
+// storage key with this suffix.
+export const HISTORY_SUFFIX = ':__history__'
+
+/**
+ * @typedef {object} HistoryConfig
+ * @property {number} [limit=100] - Maximum number of undo steps.
+ * @property {boolean} [persist=false] - Stores the history next to the value, so it survives a reload.
+ */
+
+/**
+ * @typedef {object} History
+ * @property {Array<any>} past - Earlier values, the most recent last.
+ * @property {Array<any>} future - Undone values, the most recently undone last.
+ * @property {number} lastChangeAt - Time of the last recorded change, for grouping.
+ */
+
+/** @type {History} */
+export const emptyHistory = { past: [], future: [], lastChangeAt: 0 }
+
+/**
+ * Normalizes the `history` option.
+ * @param {boolean | HistoryConfig} [history]
+ * @returns {{ limit: number, persist: boolean } | null} `null` if disabled.
+ */
+export function resolveHistoryConfig (history) {
+  if (!history) return null
+  const { limit = 100, persist = false } = history === true ? {} : history
+  return { limit, persist }
+}
+
+/**
+ * Picks the codec options a history is stored with. It is encoded like its
+ * value, but neither migrated nor validated: a history stored under another
+ * version is dropped.
+ * @param {import('./codec').CodecOptions} options - The key's options.
+ * @returns {import('./codec').CodecOptions}
+ */
+export function getHistoryCodecOptions (options) {
+  const { serialize, deserialize, version, ttl, expiresAt } = options
+  return { serialize, deserialize, version, ttl, expiresAt }
+}
+
+/**
+ * @param {string} storageKey - The storage key of the value.
+ * @returns {string}
+ */
+export function getHistoryStorageKey (storageKey) {
+  return `${storageKey}${HISTORY_SUFFIX}`
+}
+
+/**
+ * Records a change. A change within `groupWindow` ms of the previous one
+ * extends the same undo step, so rapid changes are undone together.
+ * @param {History} history
+ * @param {any} prevValue - The value before the change.
+ * @param {object} params
+ * @param {number} params.now
+ * @param {number} params.groupWindow - The key's `debounce` delay.
+ * @param {number} params.limit
+ * @returns {History}
+ */
+export function recordChange (history, prevValue, { now, groupWindow, limit }) {
+  const isGrouped =
+    groupWindow > 0 &&
+    history.past.length > 0 &&
+    now - history.lastChangeAt < groupWindow
+  const past = isGrouped
+    ? history.past
+    : [...history.past, prevValue].slice(-limit)
+  return { past, future: [], lastChangeAt: now }
+}
+
+/**
+ * Moves one step back.
+ * @param {History} history
+ * @param {any} currentValue
+ * @returns {{ history: History, value: any } | null} `null` if there is nothing to undo.
+ */
+export function undoChange (history, currentValue) {
+  if (history.past.length === 0) return null
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, currentValue],
+      lastChangeAt: 0
+    },
+    value: history.past[history.past.length - 1]
+  }
+}
+
+/**
+ * Moves one step forward.
+ * @param {History} history
+ * @param {any} currentValue
+ * @returns {{ history: History, value: any } | null} `null` if there is nothing to redo.
+ */
+export function redoChange (history, currentValue) {
+  if (history.future.length === 0) return null
+  return {
+    history: {
+      past: [...history.past, currentValue],
+      future: history.future.slice(0, -1),
+      lastChangeAt: 0
+    },
+    value: history.future[history.future.length - 1]
+  }
+}
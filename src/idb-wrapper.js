@@ -63,31 +63,41 @@ export const idb = {
     })
   },
 
+  // Resolves with the keys that start with `prefix`, through a key range
+  async keys (prefix) {
+    const db = await this.init()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('store', 'readonly')
+      const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`)
+      const req = tx.objectStore('store').getAllKeys(range)
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  },
+
   // --- Garbage Collector ---
-  async sweep (maxAgeMs = 24 * 60 * 60 * 1000) {
+  // Deletes every record for which `getReason(key, record)` returns a
+  // reason, and resolves with the affected keys. In dry-run mode nothing
+  // is deleted.
+  async sweep (getReason, { dryRun = false } = {}) {
     const db = await this.init()
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('store', 'readwrite')
+      const tx = db.transaction('store', dryRun ? 'readonly' : 'readwrite')
       const store = tx.objectStore('store')
       const req = store.openCursor()
-      const now = Date.now()
+      const swept = []
 
       req.onsuccess = e => {
         const cursor = e.target.result
         if (cursor) {
-          // Only sweep keys that belong to sessiondb AND are older than maxAgeMs
-          if (
-            typeof cursor.key === 'string' &&
-            cursor.key.startsWith('__sessiondb__:') &&
-            cursor.value &&
-            cursor.value.__ts &&
-            now - cursor.value.__ts > maxAgeMs
-          ) {
-            cursor.delete()
+          const reason = getReason(cursor.key, cursor.value)
+          if (reason) {
+            swept.push({ key: cursor.key, reason })
+            if (!dryRun) cursor.delete()
           }
           cursor.continue()
         } else {
-          resolve() // Sweeping finished
+          resolve(swept) // Sweeping finished
         }
       }
       req.onerror = () => reject(req.error)
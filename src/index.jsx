@@ -7,7 +7,73 @@ import React, {
   useCallback,
   useLayoutEffect
 } from 'react'
-import { idb } from './idb-wrapper'
+import {
+  createWebStorageAdapter,
+  createIdbAdapter,
+  createMemoryAdapter
+} from './storage-adapters'
+import { createCookieAdapter, readCookieState } from './cookies'
+import { createUrlAdapter } from './url-state'
+import {
+  encodeValue,
+  readStoredValue,
+  isValidationError,
+  isExpired
+} from './codec'
+import { richSerializer } from './serializers'
+import {
+  runGarbageCollection,
+  getFollowerGcConfig
+} from './garbage-collector'
+import { getScope, getScopeStorageKey, isScoped } from './scoping'
+import { getBrowserLocation, subscribeToBrowserLocation } from './location'
+import {
+  createStore,
+  writeToStorage,
+  updateAtomically,
+  loadIntoStore,
+  getStoreApi,
+  getStoreOfApi,
+  createAdvancedStore,
+  dehydrate,
+  reconcileServerState
+} from './store'
+import { connectDevTools } from './devtools'
+import { getLeaderElector, alwaysLeader } from './leader'
+import {
+  tick,
+  adoptClock,
+  resolveRemoteWrite,
+  validateConflictStrategy
+} from './conflicts'
+import {
+  emptyHistory,
+  resolveHistoryConfig,
+  getHistoryStorageKey,
+  getHistoryCodecOptions,
+  recordChange,
+  undoChange,
+  redoChange
+} from './history'
+import {
+  createAdvancedStateError,
+  getReadErrorCode,
+  getWriteErrorCode
+} from './errors'
+import { settle } from './utils'
+import { useSyncExternalStore } from './use-sync-external-store'
+
+export {
+  createAdvancedStore,
+  dehydrate,
+  readCookieState,
+  createCookieAdapter,
+  createUrlAdapter,
+  createWebStorageAdapter,
+  createIdbAdapter,
+  createMemoryAdapter,
+  richSerializer
+}
 
 // --- Utilities ---
 
@@ -15,108 +81,41 @@ import { idb } from './idb-wrapper'
 const useIsomorphicLayoutEffect =
   typeof window !== 'undefined' ? useLayoutEffect : useEffect
 
-// Lazy-loads and guarantees a unique Tab Session Fingerprint
-function getTabSessionId () {
-  if (typeof window === 'undefined') return 'ssr'
+// Targets that are private to a tab, so every tab maintains its own
+const isTabTarget = persist => persist === 'session' || persist === 'sessiondb'
 
-  let id = sessionStorage.getItem('adv_state_session_id')
-  if (!id) {
-    // Generate a highly random, collision-resistant string
-    id = Math.random().toString(36).substring(2, 15) + Date.now().toString(36)
-    sessionStorage.setItem('adv_state_session_id', id)
-  }
+// Custom adapters are objects, built-in targets are named
+const isAdapterObject = persist => !!persist && typeof persist === 'object'
 
-  return id
-}
+// No tab leads during server rendering
+const isNeverLeader = () => false
 
-// --- Internal Pub/Sub Store ---
+// Without a location source, scopes follow the browser's location
+const useNoLocation = () => null
 
-/**
- * Creates a centralized, framework-agnostic store to hold state
- * and manage subscriber notifications outside of React's render cycle.
- */
-function createStore () {
-  const subscribers = new Set()
-  const stateValues = new Map()
-
-  return {
-    subscribe: callback => {
-      subscribers.add(callback)
-      return () => subscribers.delete(callback)
-    },
-    setState: (key, value) => {
-      stateValues.set(key, value)
-      for (const callback of subscribers) {
-        callback(key, value)
-      }
-    },
-    setSilent: (key, value) => {
-      stateValues.set(key, value)
-    },
-    getState: key => stateValues.get(key),
-    initState: (key, value) => {
-      if (!stateValues.has(key)) {
-        stateValues.set(key, value)
-      }
-    }
-  }
+const emptyScopeContext = {}
+
+const isShallowEqual = (a, b) => {
+  const keys = Object.keys(a)
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(name => Object.is(a[name], b[name]))
+  )
 }
 
 // --- React Context ---
 
+const defaultStore = createStore()
+
 export const AdvancedStateContext = React.createContext({
-  store: createStore(),
-  prefix: 'advState',
-  defaultsMap: new Map()
+  store: defaultStore,
+  prefix: defaultStore.prefix,
+  defaultsMap: defaultStore.defaultsMap,
+  leader: getLeaderElector(defaultStore.prefix),
+  location: null,
+  scopeContext: defaultStore.scopeContext
 })
 
-// --- URL Scoping Helpers ---
-
-/**
- * Gets a URL parameter by name.
- * @param {string} name - The name of the URL parameter.
- * @returns {string | null}
- */
-function getUrlParam (name) {
-  if (typeof window === 'undefined') return null
-  const params = new URLSearchParams(window.location.search)
-  return params.get(name)
-}
-
-/**
- * Parses the URL path based on a string-replacement pattern.
- * @param {string} pattern - e.g., "$1_$3" or "user_$1"
- * @returns {string | null}
- */
-function parsePathScope (pattern) {
-  if (typeof window === 'undefined' || !pattern) return null
-  const pathSegments = window.location.pathname.split('/').filter(Boolean)
-  const scope = pattern.replace(/\$(\d+)/g, (match, index) => {
-    const i = parseInt(index, 10) - 1
-    return pathSegments[i] || ''
-  })
-  return scope === '' ? null : scope
-}
-
-/**
- * Creates the final storage key based on scope.
- * Format: "<prefix>:<scopeValue>:<key>"
- * @param {string} prefix - The global prefix (e.g., 'advState' or 'myApp')
- * @param {string} [scopeByUrlParam] - The URL param name.
- * @param {string} [scopeByUrlPath] - The URL path pattern.
- * @param {string} key - The property key (e.g., 'username')
- * @returns {string}
- */
-function getScopedStorageKey (prefix, scopeByUrlParam, scopeByUrlPath, key) {
-  let scope = null
-  if (scopeByUrlParam) {
-    scope = getUrlParam(scopeByUrlParam) || 'default-param'
-  } else if (scopeByUrlPath) {
-    scope = parsePathScope(scopeByUrlPath) || 'default-path'
-  }
-  return [prefix, scope, key].filter(Boolean).join(':')
-}
-
 /**
  * Provider component that enables 'cross-component' notifications
  * and centralized state configuration.
@@ -125,115 +124,280 @@ function getScopedStorageKey (prefix, scopeByUrlParam, scopeByUrlPath, key) {
  * @param {React.ReactNode} props.children
  * @param {string} [props.prefix='advState'] - A custom prefix for all storage keys.
  * @param {Array<object>} [props.defaults=[]] - An array of default configurations for keys.
+ * @param {import('./garbage-collector').GcConfig | false} [props.gc] - Garbage collector configuration, or `false` to disable it.
+ * @param {boolean | import('./devtools').DevToolsConfig} [props.devtools=false] - Connects the store to the Redux DevTools extension.
+ * @param {import('./store').AdvancedStore} [props.store] - A store from `createAdvancedStore` to share with code outside React. Its `prefix` and `defaults` replace the props.
+ * @param {boolean | import('./leader').LeaderElectionConfig} [props.leaderElection=true] - Elects one tab per prefix to run maintenance work, or `false` to run it in every tab.
+ * @param {string} [props.channel='adv_state_channel'] - The cross-tab channel name. Only tabs using the same name hear each other.
+ * @param {import('./encryption').EncryptionKeyProvider} [props.encryptionKey] - The AES-GCM key of values with `encrypt`, or a (async) function returning it.
+ * @param {boolean | import('./quota').QuotaConfig} [props.quota] - Evicts other keys, or moves the value to another target, when a write exceeds the Web Storage quota.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [props.onError] - Receives the errors of all keys and of maintenance work. Defaults to console logging.
+ * @param {() => import('./location').ScopeLocation | null} [props.useLocation] - A hook returning the location URL scopes follow, e.g. React Router's `useLocation`. Defaults to the browser's location.
+ * @param {object} [props.scopeContext={}] - Values passed to the `scopeBy` functions of keys, e.g. `{ userId, tenant }`.
+ * @param {Object<string, any>} [props.initialState] - Values from `dehydrate` on the server, rendered by the first client render. Read on mount only.
  * @returns {React.ReactElement}
  */
 export function AdvancedStateProvider ({
   children,
   prefix = 'advState',
-  defaults = []
+  defaults = [],
+  gc,
+  devtools = false,
+  store: storeApi,
+  leaderElection = true,
+  channel,
+  encryptionKey,
+  quota,
+  onError,
+  useLocation: useLocationSource = useNoLocation,
+  scopeContext = emptyScopeContext,
+  initialState
 }) {
   // Maintain a stable reference to the central store. This ensures that
   // subscriptions remain intact even if the parent component re-renders.
-  const [store] = useState(() => createStore())
+  const [ownStore] = useState(() => createStore())
+  const externalStore = storeApi ? getStoreOfApi(storeApi) : undefined
+  const store = externalStore || ownStore
+
+  // Leader election: tabs sharing a prefix elect one of them to run
+  // maintenance work (sweeps, pre-warming shared targets) for all.
+  const electionName = externalStore ? externalStore.prefix : prefix
+  const isElectionEnabled = leaderElection !== false
+  const heartbeatInterval =
+    (leaderElection && leaderElection.heartbeatInterval) || undefined
+  const leaderTimeout = (leaderElection && leaderElection.timeout) || undefined
+
+  const leader = useMemo(
+    () =>
+      isElectionEnabled
+        ? getLeaderElector(electionName, {
+            heartbeatInterval,
+            timeout: leaderTimeout
+          })
+        : alwaysLeader,
+    [electionName, isElectionEnabled, heartbeatInterval, leaderTimeout]
+  )
 
   // Memoize the context value to prevent unnecessary re-renders of consumers.
   // The store state is pre-warmed with any provided default configurations.
   const contextValue = useMemo(() => {
-    const defaultsMap = new Map()
-
-    for (const item of defaults) {
-      if (item.key) {
-        defaultsMap.set(item.key, item)
-        if (item.initial !== undefined) {
-          store.initState(item.key, item.initial)
-        }
-      }
+    if (!externalStore) {
+      store.configure({ prefix, defaults, channel, encryptionKey })
     }
 
     return {
       store,
-      prefix,
-      defaultsMap
+      prefix: store.prefix,
+      defaultsMap: store.defaultsMap,
+      leader
+    }
+  }, [prefix, defaults, channel, encryptionKey, store, externalStore, leader])
+
+  // Hydration: hooks rendered with the provider show the server's values,
+  // so the first client render matches the server HTML. Once mounted, keys
+  // switch to their persisted value where there is one.
+  const isSeededRef = useRef(false)
+  if (!isSeededRef.current) {
+    isSeededRef.current = true
+    if (initialState) store.setServerState(initialState)
+  }
+
+  useEffect(() => {
+    reconcileServerState(store)
+  }, [store])
+
+  // A router's location, which URL scopes follow instead of the browser's.
+  // Hooks receive it through the context, so they re-scope in the same
+  // render as the router; the store uses it for the imperative API.
+  const sourceLocation = useLocationSource()
+  const sourcePathname = sourceLocation ? sourceLocation.pathname || '/' : null
+  const sourceSearch = sourceLocation ? sourceLocation.search || '' : null
+  const sourceHash = sourceLocation ? sourceLocation.hash || '' : null
+  const location = useMemo(
+    () =>
+      sourcePathname === null
+        ? null
+        : {
+            pathname: sourcePathname,
+            search: sourceSearch,
+            hash: sourceHash
+          },
+    [sourcePathname, sourceSearch, sourceHash]
+  )
+
+  // The scope context is usually an inline object. It is kept while its
+  // entries are the same, so hooks only re-scope when they change.
+  const scopeContextRef = useRef(scopeContext)
+  if (!isShallowEqual(scopeContextRef.current, scopeContext)) {
+    scopeContextRef.current = scopeContext
+  }
+  const stableScopeContext = scopeContextRef.current
+
+  useIsomorphicLayoutEffect(() => {
+    store.setLocation(location)
+    return () => store.setLocation(null)
+  }, [store, location])
+
+  useIsomorphicLayoutEffect(() => {
+    store.scopeContext = stableScopeContext
+    return () => {
+      store.scopeContext = emptyScopeContext
+    }
+  }, [store, stableScopeContext])
+
+  const providedValue = useMemo(
+    () => ({ ...contextValue, location, scopeContext: stableScopeContext }),
+    [contextValue, location, stableScopeContext]
+  )
+
+  // The quota policy and the error handler are usually inline. The store
+  // reads them when they are needed, so they don't reconfigure the store.
+  useIsomorphicLayoutEffect(() => {
+    if (externalStore) return
+    store.quota = quota
+    store.onError = onError
+  })
+
+  // All hooks of the store share one cross-tab channel, which the provider
+  // closes when it unmounts. A store passed in keeps its channel open.
+  useEffect(() => {
+    if (externalStore) return
+    return () => ownStore.transport.close()
+  }, [ownStore, externalStore])
+
+  // The GC config is usually an inline object; only its interval and
+  // whether it is enabled restart the sweeps.
+  const gcRef = useRef(gc)
+  const isGcEnabled = gc !== false
+  const gcInterval = (gc && gc.interval) || 0
+
+  // The store stamps Web Storage writes with their time while they are
+  // swept by age
+  useIsomorphicLayoutEffect(() => {
+    gcRef.current = gc
+    store.gc = gc
+  })
+
+  // Garbage Collector: clears dead tabs, expired, outdated and orphaned
+  // entries on mount and, if configured, periodically. Only the leader
+  // sweeps shared targets; a tab that takes over sweeps right away.
+  useEffect(() => {
+    if (typeof window === 'undefined' || !isGcEnabled) return
+
+    const { leader } = contextValue
+    const sweep = () => {
+      const config = gcRef.current || undefined
+      const sweepConfig = leader.isLeader()
+        ? config
+        : getFollowerGcConfig(config)
+      if (sweepConfig === null) return
+
+      runGarbageCollection({
+        prefix: contextValue.prefix,
+        keys: contextValue.defaultsMap.keys(),
+        config: sweepConfig,
+        onError: error => contextValue.store.reportError(error)
+      })
+    }
+
+    sweep()
+    const leave = leader.subscribe(() => {
+      if (leader.isLeader()) sweep()
+    })
+    const intervalId = gcInterval > 0 ? setInterval(sweep, gcInterval) : null
+    return () => {
+      leave()
+      clearInterval(intervalId)
     }
-  }, [prefix, defaults, store])
+  }, [contextValue, isGcEnabled, gcInterval])
+
+  // Redux DevTools bridge, opt-in. Reconnects only when the instance
+  // name or history size changes, not for a new inline config object.
+  const isDevToolsEnabled = !!devtools
+  const devToolsName = (devtools && devtools.name) || undefined
+  const devToolsMaxAge = (devtools && devtools.maxAge) || undefined
+
+  useEffect(() => {
+    if (!isDevToolsEnabled) return
+    return connectDevTools(store, {
+      name: devToolsName,
+      maxAge: devToolsMaxAge
+    })
+  }, [store, isDevToolsEnabled, devToolsName, devToolsMaxAge])
 
   // Eager storage initialization: Ensure persistent items are written to
   // the appropriate browser storage on mount if they do not already exist.
   useEffect(() => {
     if (typeof window === 'undefined') return
 
-    // Kick off the asynchronous Garbage Collector to clear dead tabs
-    idb.sweep().catch(e => console.warn('[AdvancedState] IDB sweep failed:', e))
+    const { store, prefix, defaultsMap, leader } = contextValue
 
-    const { store, defaultsMap } = contextValue
-
-    for (const item of defaultsMap.values()) {
-      const { key, persist, scopeByUrlParam, scopeByUrlPath } = item
+    const prewarm = ({ item, adapter }) => {
+      const { key } = item
 
-      if (!persist || !key) continue
-
-      const baseKey = getScopedStorageKey(
+      const storageKey = getScopeStorageKey(
+        adapter,
         prefix,
-        scopeByUrlParam,
-        scopeByUrlPath,
+        store.getScope(item),
         key
       )
 
-      // If sessiondb, prefix it to sandbox it from other tabs
-      const storageKey =
-        persist === 'sessiondb'
-          ? `__sessiondb__:${getTabSessionId()}:${baseKey}`
-          : baseKey
-
-      if (persist === 'localdb' || persist === 'sessiondb') {
-        // --- Asynchronous IDB Pre-warming ---
-        // We use a fire-and-forget promise chain here so we don't block
-        // the loop or React's commit phase.
-        idb
-          .get(storageKey)
-          .then(storageValue => {
-            if (storageValue === undefined) {
-              const valueToStore = store.getState(key)
-              if (valueToStore !== undefined) {
-                idb.set(storageKey, valueToStore).catch(e => {
-                  console.error(
-                    `[AdvancedState] Failed to eager-write IDB default for "${key}":`,
-                    e
-                  )
-                })
-              }
-            }
-          })
-          .catch(e =>
-            console.error(
-              `[AdvancedState] Failed to read IDB default for "${key}":`,
-              e
+      // Synchronous adapters are pre-warmed immediately, asynchronous ones
+      // (IDB) through a fire-and-forget promise chain so we don't block
+      // the loop or React's commit phase.
+      settle(
+        () => adapter.get(storageKey),
+        storedValue => {
+          // Expired values are purged and replaced like missing ones
+          const expired =
+            storedValue !== undefined && isExpired(adapter, storedValue)
+          if (storedValue !== undefined && !expired) return
+
+          const valueToStore = store.getState(key)
+          if (valueToStore !== undefined) {
+            return adapter.set(
+              storageKey,
+              encodeValue(adapter, valueToStore, item)
             )
-          )
-      } else {
-        // --- Synchronous Web Storage Pre-warming ---
-        try {
-          const storage = persist === 'local' ? localStorage : sessionStorage
-          const storageValue = storage.getItem(storageKey)
-
-          if (storageValue === null) {
-            const valueToStore = store.getState(key)
-            if (valueToStore !== undefined) {
-              storage.setItem(storageKey, JSON.stringify(valueToStore))
-            }
           }
-        } catch (e) {
-          console.error(
-            `[AdvancedState] Failed to initialize default for key "${key}":`,
-            e
+          if (expired) return adapter.remove(storageKey)
+        },
+        e =>
+          store.reportError(
+            createAdvancedStateError(
+              getWriteErrorCode(item.persist),
+              `Failed to initialize default for key "${key}"`,
+              { key, storageKey, persist: item.persist, cause: e }
+            ),
+            item.onError
           )
-        }
+      )
+    }
+
+    const targets = []
+    for (const item of defaultsMap.values()) {
+      const adapter = store.getAdapter(item)
+      // Params appear in the URL once their value is set, not on load
+      if (adapter && item.key && !adapter.external) {
+        targets.push({ item, adapter })
       }
     }
-  }, [prefix, contextValue])
+
+    // Asynchronous targets shared by all tabs (localdb) are initialized by
+    // the leader only, also when a tab takes over
+    const isLeaderWork = ({ item, adapter }) =>
+      !!adapter.async && !isTabTarget(item.persist)
+    const prewarmShared = () => {
+      if (leader.isLeader()) targets.filter(isLeaderWork).forEach(prewarm)
+    }
+
+    targets.filter(target => !isLeaderWork(target)).forEach(prewarm)
+    prewarmShared()
+    return leader.subscribe(prewarmShared)
+  }, [contextValue])
 
   return (
-    <AdvancedStateContext.Provider value={contextValue}>
+    <AdvancedStateContext.Provider value={providedValue}>
       {children}
     </AdvancedStateContext.Provider>
   )
@@ -241,14 +405,8 @@ export function AdvancedStateProvider ({
 
 // --- Hook Implementation ---
 
-function debounce (func, delay) {
-  let timeoutId = null
-  return function (...args) {
-    const context = this
-    clearTimeout(timeoutId)
-    timeoutId = setTimeout(() => func.apply(context, args), delay)
-  }
-}
+const subscribeToNothing = () => () => {}
+const getNothing = () => undefined
 
 /**
  * The main hook for advanced state management.
@@ -258,14 +416,36 @@ function debounce (func, delay) {
  * @param {object} [options={}] - Local options to override defaults.
  * @param {T} [options.initial] - The initial value.
  * @param {number} [options.debounce] - Debounce delay in ms.
- * @param {'local' | 'session' | 'localdb' | 'sessiondb'} [options.persist] - Persistence target.
+ * @param {'local' | 'session' | 'localdb' | 'sessiondb' | 'cookie' | 'url' | import('./storage-adapters').StorageAdapter} [options.persist] - Persistence target or custom adapter.
  * @param {'cross-component' | 'cross-tab' | 'cross-component-and-tab'} [options.notify] - Sync strategy.
- * @param {string} [options.scopeByUrlParam] - Scope storage key by URL parameter.
+ * @param {string | Array<string>} [options.scopeByUrlParam] - Scope storage key by URL parameter(s).
  * @param {string} [options.scopeByUrlPath] - Scope storage key by URL path segments (e.g., '$1_$3').
- * @returns {[T, (value: T | ((prev: T) => T)) => void, { isCached: boolean, get: () => T }]}
+ * @param {true | string} [options.scopeByUrlHash] - Scope storage key by the URL hash, or a parameter of it.
+ * @param {(location: import('./location').ScopeLocation | null, context: object) => string | number | null | undefined} [options.scopeBy] - Scope storage key by a custom value, e.g. from the provider's `scopeContext`.
+ * @param {import('./scoping').MissingScopePolicy} [options.missingScope='share'] - What happens while a scope value is missing.
+ * @param {(value: T) => string} [options.serialize=JSON.stringify] - Converts the value to a string for string-based storage.
+ * @param {(text: string) => T} [options.deserialize=JSON.parse] - Converts a stored string back, also for cross-tab events.
+ * @param {number} [options.version] - Schema version recorded with the stored value.
+ * @param {number} [options.ttl] - Time in ms after which a written value expires.
+ * @param {number | Date} [options.expiresAt] - Absolute expiry of written values (overrides `ttl`).
+ * @param {(oldValue: any, fromVersion: number) => T} [options.migrate] - Upgrades values stored under an older version.
+ * @param {((value: any) => boolean) | { parse: (value: any) => T }} [options.validate] - Checks loaded and cross-tab values.
+ * @param {(error: Error, info: { key: string, storageKey: string, value: any }) => void} [options.onValidationError] - Receives rejected values.
+ * @param {boolean | import('./history').HistoryConfig} [options.history] - Enables undo/redo.
+ * @param {import('./conflicts').ConflictStrategy} [options.resolveConflict] - Resolves concurrent writes from other tabs.
+ * @param {boolean} [options.atomic=false] - Runs updates as locked read-modify-writes of the persisted value; the setter returns a promise.
+ * @param {boolean} [options.encrypt=false] - Encrypts the persisted value with the provider's `encryptionKey`. Loads become asynchronous.
+ * @param {boolean | import('./compression').CompressionConfig} [options.compress=false] - Compresses the persisted value, optionally only above a `threshold` in bytes.
+ * @param {import('./cookies').CookieConfig} [options.cookie] - Attributes of the cookie of keys with `persist: 'cookie'`.
+ * @param {import('./url-state').UrlConfig} [options.url] - The query parameter and history mode of keys with `persist: 'url'`.
+ * @param {number} [options.priority=0] - Keys of a lower priority are evicted first when the provider's `quota` policy evicts by priority.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [options.onError] - Receives the key's errors, before the provider's `onError`.
+ * @returns {[T, (value: T | ((prev: T) => T)) => void | Promise<T>, { isCached: boolean, error: import('./errors').AdvancedStateError | null, get: () => T, getSize: () => import('./compression').StoredSize | null, undo: () => void, redo: () => void, canUndo: boolean, canRedo: boolean }]}
  */
 export function useAdvancedState (key, options = {}) {
-  const { store, prefix, defaultsMap } = useContext(AdvancedStateContext)
+  const { store, prefix, defaultsMap, location, scopeContext } = useContext(
+    AdvancedStateContext
+  )
 
   const mergedOptions = useMemo(() => {
     const defaultOptions = defaultsMap.get(key) || {}
@@ -274,57 +454,195 @@ export function useAdvancedState (key, options = {}) {
 
   const {
     initial,
-    persist,
+    persist: persistOption,
     notify,
     debounce: debounceDelay = 0,
     scopeByUrlParam,
-    scopeByUrlPath
+    scopeByUrlPath,
+    scopeByUrlHash,
+    scopeBy,
+    missingScope,
+    serialize,
+    deserialize,
+    version,
+    migrate,
+    validate,
+    onValidationError,
+    ttl,
+    expiresAt,
+    history,
+    resolveConflict,
+    atomic: isAtomic = false,
+    encrypt = false,
+    compress = false,
+    priority = 0,
+    cookie,
+    url,
+    onError
   } = mergedOptions
 
-  const debouncedSync = useRef(null)
+  // A custom adapter written inline in the options is a new object on every
+  // render, and would reload the value on every render. The hook keeps the
+  // first adapter object, and reports the others.
+  const persistRef = useRef(persistOption)
+  const isReplacedAdapter =
+    isAdapterObject(persistRef.current) &&
+    isAdapterObject(persistOption) &&
+    persistOption !== persistRef.current
+  if (!isReplacedAdapter) persistRef.current = persistOption
+  const persist = persistRef.current
+
   const wasCachedRef = useRef(false)
+  // Storage work discovered during render, deferred to the mount effect:
+  // { writeBack: true } for migrated values, { remove: true } for expired
+  // values, { invalid: error } for values rejected by `validate`,
+  // { unreadable: error } for values that failed to parse, and
+  // { reconcile: true } for server values rendered instead of the persisted
+  // value.
+  const pendingStorageRef = useRef(null)
+
+  // Storage options are often inline callbacks. Effects and the setter read
+  // them through a ref so a new function identity doesn't re-run them.
+  const storageOptions = {
+    serialize,
+    deserialize,
+    version,
+    migrate,
+    validate,
+    onValidationError,
+    ttl,
+    expiresAt,
+    resolveConflict,
+    onError
+  }
+  const storageOptionsRef = useRef(storageOptions)
+  // The value a removed scope resets to
+  const initialRef = useRef(initial)
 
-  const isIdbTarget = persist === 'localdb' || persist === 'sessiondb'
+  useIsomorphicLayoutEffect(() => {
+    storageOptionsRef.current = storageOptions
+    initialRef.current = initial
+  })
 
-  const [isInitializing, setIsInitializing] = useState(isIdbTarget)
+  const isShared =
+    notify === 'cross-component' || notify === 'cross-component-and-tab'
 
-  const storageKey = useMemo(() => {
-    const baseKey = getScopedStorageKey(
-      prefix,
-      scopeByUrlParam,
-      scopeByUrlPath,
-      key
-    )
-    return persist === 'sessiondb'
-      ? `__sessiondb__:${getTabSessionId()}:${baseKey}`
-      : baseKey
-  }, [prefix, scopeByUrlParam, scopeByUrlPath, key, persist])
+  // The URL scope follows client-side navigation, through the provider's
+  // location source or, without one, the History API
+  const scopeOptions = {
+    scopeByUrlParam,
+    scopeByUrlPath,
+    scopeByUrlHash,
+    scopeBy,
+    missingScope
+  }
+  const getScopeSnapshot = () =>
+    getScope(scopeOptions, location || getBrowserLocation(), scopeContext)
+  const scope = useSyncExternalStore(
+    isScoped(scopeOptions) && !location
+      ? subscribeToBrowserLocation
+      : subscribeToNothing,
+    getScopeSnapshot,
+    getScopeSnapshot
+  )
+
+  // Nothing is persisted while a scope is missing with `missingScope:
+  // 'disable'`
+  const isScopeDisabled = scope === false
+  const adapter = useMemo(
+    () =>
+      isScopeDisabled
+        ? null
+        : store.getAdapter({
+            persist,
+            encrypt,
+            compress,
+            priority,
+            cookie,
+            key,
+            url
+          }),
+    [
+      store,
+      persist,
+      encrypt,
+      compress,
+      priority,
+      cookie,
+      key,
+      url,
+      isScopeDisabled
+    ]
+  )
+
+  const storageKey = useMemo(
+    () => adapter && getScopeStorageKey(adapter, prefix, scope, key),
+    [prefix, scope, key, adapter]
+  )
+
+  // Values a quota policy moved to a fallback target load asynchronously,
+  // even from a synchronous adapter
+  const isAsyncTarget = useMemo(
+    () =>
+      !!adapter &&
+      (!!adapter.async ||
+        (typeof window !== 'undefined' &&
+          !!adapter.isAsyncKey &&
+          adapter.isAsyncKey(storageKey))),
+    [adapter, storageKey]
+  )
+
+  const [isInitializing, setIsInitializing] = useState(isAsyncTarget)
+
+  // Reads the stored record of a synchronous target, or `null` if there is
+  // no usable one. The storage work it requires is deferred to the eager
+  // effect.
+  const readSyncRecord = () => {
+    try {
+      const record = readStoredValue(
+        adapter,
+        adapter.get(storageKey),
+        storageOptions
+      )
+      if (record && record.expired) {
+        pendingStorageRef.current = { remove: true }
+        return null
+      }
+      pendingStorageRef.current =
+        record && record.migrated ? { writeBack: true } : null
+      return record
+    } catch (e) {
+      pendingStorageRef.current = isValidationError(e)
+        ? { invalid: e }
+        : { unreadable: e }
+      return null
+    }
+  }
 
   // Lazy initializer for useState. Resolves the initial state by checking
-  // browser storage, then the central store, and finally falling back to props.
+  // synchronous storage, then the central store, and finally falling back
+  // to props.
   const getInitialValue = () => {
-    if (
-      (persist === 'local' || persist === 'session') &&
-      typeof window !== 'undefined'
-    ) {
-      try {
-        const storage = persist === 'local' ? localStorage : sessionStorage
-        const storageValue = storage.getItem(storageKey)
-        if (storageValue !== null) {
-          const parsedValue = JSON.parse(storageValue)
-          store.initState(key, parsedValue)
-          wasCachedRef.current = true
-          return parsedValue
-        }
-      } catch (e) {
-        console.error(
-          `[AdvancedState] Failed to parse stored value for ${key}:`,
-          e
-        )
+    // While the provider hydrates, the server's value renders first so the
+    // HTML matches. The persisted value replaces it after mount.
+    if (store.hasServerValue(key)) {
+      pendingStorageRef.current = { reconcile: true }
+      return store.getState(key)
+    }
+
+    if (adapter && !isAsyncTarget && typeof window !== 'undefined') {
+      const record = readSyncRecord()
+      if (record) {
+        if (!store.isHydrated(key)) adoptClock(storageKey, record.clock)
+        store.hydrate(key, record.value)
+        wasCachedRef.current = true
+        // Shared hooks show the store value, which may be newer than a
+        // debounced write that has not reached storage yet.
+        return isShared ? store.getState(key) : record.value
       }
     }
 
-    if (notify === 'cross-component' || notify === 'cross-component-and-tab') {
+    if (isShared) {
       const storeValue = store.getState(key)
       if (storeValue !== undefined) {
         wasCachedRef.current = true
@@ -338,7 +656,24 @@ export function useAdvancedState (key, options = {}) {
     return store.getState(key)
   }
 
-  const [localValue, setLocalValue] = useState(getInitialValue)
+  // Hooks without cross-component sync keep their own copy of the value.
+  const [ownValue, setOwnValue] = useState(getInitialValue)
+
+  // Shared values are read straight from the central store. Subscribing per
+  // key with useSyncExternalStore only wakes hooks of the changed key and
+  // keeps every component consistent during concurrent renders.
+  const subscribeToKey = useCallback(
+    onStoreChange => store.subscribe(key, onStoreChange),
+    [store, key]
+  )
+  const getSnapshot = useCallback(() => store.getState(key), [store, key])
+  const sharedValue = useSyncExternalStore(
+    isShared ? subscribeToKey : subscribeToNothing,
+    isShared ? getSnapshot : getNothing,
+    isShared ? getSnapshot : getNothing
+  )
+
+  const localValue = isShared ? sharedValue : ownValue
 
   // Maintain a layout-safe reference to the current state. This allows the
   // setter function to compute functional updates (e.g., prev => prev + 1)
@@ -349,226 +684,759 @@ export function useAdvancedState (key, options = {}) {
     latestValueRef.current = localValue
   }, [localValue])
 
-  // --- Asynchronous load effect for IndexedDB ---
+  // Applies a value from storage or another tab to this hook's own copy.
+  // Shared hooks receive it through the store instead.
+  const setOwnValueIfChanged = useCallback(
+    newValue => {
+      if (!isShared) {
+        setOwnValue(prev => (Object.is(prev, newValue) ? prev : newValue))
+      }
+    },
+    [isShared]
+  )
+
+  // The key's last error, until the next write
+  const [error, setError] = useState(null)
+  // Mirrors `error`, so writes only re-render to clear one
+  const errorRef = useRef(null)
+
+  const showError = useCallback(nextError => {
+    if (errorRef.current === nextError) return
+    errorRef.current = nextError
+    setError(nextError)
+  }, [])
+
+  const createError = useCallback(
+    (code, message, cause) =>
+      createAdvancedStateError(code, message, {
+        key,
+        storageKey,
+        persist,
+        cause
+      }),
+    [key, storageKey, persist]
+  )
+
+  // Exposes an error as `meta.error`, and hands it to the `onError`
+  // handlers (or the console).
+  const reportError = useCallback(
+    error => {
+      showError(error)
+      store.reportError(error, storageOptionsRef.current.onError)
+    },
+    [store, showError]
+  )
+
+  // Errors of the encrypting, compressing and quota wrappers name the
+  // storage key only; this hook reports them as errors of its key
   useEffect(() => {
-    if (isIdbTarget && typeof window !== 'undefined') {
+    if (!storageKey) return
+    return store.handleStorageErrors(storageKey, (error, { isReported }) => {
+      const keyError = createError(error.code, error.message, error.cause)
+      if (error.size !== undefined) keyError.size = error.size
+      if (isReported) {
+        showError(keyError)
+      } else {
+        reportError(keyError)
+      }
+    })
+  }, [store, storageKey, createError, showError, reportError])
+
+  useEffect(() => {
+    if (!isReplacedAdapter) return
+    store.reportConfigError(
+      createAdvancedStateError(
+        'INVALID_CONFIG',
+        `The persist adapter of ${key} is a new object on every render, using the first one. Define adapters once, outside of render`,
+        { key }
+      )
+    )
+  }, [store, key, isReplacedAdapter])
+
+  // An unknown conflict strategy is reported once per key. Merge callbacks
+  // are always valid, so their identity doesn't re-run the check.
+  const conflictStrategyName =
+    typeof resolveConflict === 'function' ? null : resolveConflict
+  useEffect(() => {
+    const error = validateConflictStrategy(key, conflictStrategyName)
+    if (error) store.reportConfigError(error)
+  }, [store, key, conflictStrategyName])
+
+  // Reports a value rejected by `validate` instead of rendering it.
+  const reportInvalidValue = useCallback(
+    validationError => {
+      const error = createError(
+        'VALIDATION_FAILED',
+        `Discarded invalid value for ${key}`,
+        validationError
+      )
+      const { onValidationError } = storageOptionsRef.current
+      if (onValidationError) {
+        // The dedicated handler replaces the `onError` handlers
+        onValidationError(validationError, {
+          key,
+          storageKey,
+          value: validationError.value
+        })
+        showError(error)
+      } else {
+        reportError(error)
+      }
+    },
+    [key, storageKey, createError, showError, reportError]
+  )
+
+  // --- Asynchronous load effect (IndexedDB and other async adapters) ---
+  useEffect(() => {
+    if (isAsyncTarget && typeof window !== 'undefined') {
       setIsInitializing(true)
 
-      const loadFromIdb = async () => {
+      const loadFromStorage = async () => {
+        // What a failure means, by how far the load got
+        let failure = [getReadErrorCode(persist), `Failed to load ${key}`]
         try {
-          const storedValue = await idb.get(storageKey)
-          if (storedValue !== undefined) {
-            setLocalValue(storedValue)
-            store.setState(key, storedValue)
+          const storedValue = await adapter.get(storageKey)
+          failure = ['PARSE_FAILED', `Failed to parse stored value for ${key}`]
+          const record = readStoredValue(
+            adapter,
+            storedValue,
+            storageOptionsRef.current
+          )
+          failure = [getWriteErrorCode(persist), `Failed to update ${key}`]
+          if (record && record.expired) {
+            await adapter.remove(storageKey)
+          } else if (record) {
+            adoptClock(storageKey, record.clock)
+            setOwnValueIfChanged(record.value)
+            store.setState(key, record.value, { source: 'load', scope })
             wasCachedRef.current = true
+            // Persist the migrated value so migrations run only once
+            if (record.migrated) {
+              await adapter.set(
+                storageKey,
+                encodeValue(adapter, record.value, storageOptionsRef.current)
+              )
+            }
           }
         } catch (e) {
-          console.error(`[AdvancedState] IDB load failed for ${key}:`, e)
+          if (isValidationError(e)) {
+            reportInvalidValue(e)
+            settle(
+              () => adapter.remove(storageKey),
+              () => {},
+              removeError =>
+                reportError(
+                  createError(
+                    getWriteErrorCode(persist),
+                    `Failed to remove invalid value for ${key}`,
+                    removeError
+                  )
+                )
+            )
+          } else {
+            reportError(createError(...failure, e))
+          }
         } finally {
           setIsInitializing(false)
         }
       }
 
-      loadFromIdb()
+      loadFromStorage()
     }
-  }, [persist, storageKey, key, store])
+  }, [
+    adapter,
+    storageKey,
+    scope,
+    key,
+    persist,
+    store,
+    createError,
+    reportError,
+    reportInvalidValue
+  ])
 
-  // --- Eager storage initialization for Web Storage ---
+  // --- Eager storage initialization for synchronous adapters ---
   useEffect(() => {
-    // Skip eager writes for indexeddb so it doesn't leak into sessionStorage!
-    if (!persist || isIdbTarget || typeof window === 'undefined') return
+    // Skip eager writes for async adapters, the provider pre-warms those.
+    if (!adapter || isAsyncTarget || typeof window === 'undefined') return
+
+    let pending = pendingStorageRef.current
+    pendingStorageRef.current = null
+
+    // The persisted value wins over a server value; without one, the
+    // server value is written below
+    if (pending && pending.reconcile) {
+      const record = readSyncRecord()
+      pending = pendingStorageRef.current
+      pendingStorageRef.current = null
+      if (record) {
+        adoptClock(storageKey, record.clock)
+        wasCachedRef.current = true
+        setOwnValueIfChanged(record.value)
+        store.setState(key, record.value, { source: 'load', scope })
+      }
+    }
 
-    const storage = persist === 'local' ? localStorage : sessionStorage
-    const storageValue = storage.getItem(storageKey)
+    // Unreadable values stay in storage, as the value may be fixed by hand
+    if (pending && pending.unreadable) {
+      reportError(
+        createError(
+          'PARSE_FAILED',
+          `Failed to parse stored value for ${key}`,
+          pending.unreadable
+        )
+      )
+    }
 
-    if (storageValue === null) {
-      try {
+    // A quota policy may move writes to an asynchronous fallback target,
+    // so they can fail after this effect
+    const reportWriteError = e =>
+      reportError(
+        createError(
+          getWriteErrorCode(persist),
+          `Failed to eager-write value for ${key}`,
+          e
+        )
+      )
+
+    try {
+      // Invalid and expired values are removed, and replaced by the current
+      // value below
+      if (pending && pending.invalid) {
+        reportInvalidValue(pending.invalid)
+      }
+      if (pending && (pending.invalid || pending.remove)) {
+        settle(() => adapter.remove(storageKey), () => {}, reportWriteError)
+      }
+      // Migrated values are written back so migrations run only once.
+      // External values (the URL) are written only when they are set.
+      if (
+        (pending && pending.writeBack) ||
+        (!adapter.external && adapter.get(storageKey) === undefined)
+      ) {
         const valueToStore = store.getState(key)
         if (valueToStore !== undefined) {
-          storage.setItem(storageKey, JSON.stringify(valueToStore))
+          settle(
+            () =>
+              adapter.set(
+                storageKey,
+                encodeValue(adapter, valueToStore, storageOptionsRef.current)
+              ),
+            () => {},
+            reportWriteError
+          )
         }
-      } catch (e) {
-        console.error(
-          `[AdvancedState] Failed to eager-write value for ${key}:`,
-          e
-        )
       }
+    } catch (e) {
+      reportWriteError(e)
     }
-  }, [storageKey, persist, key, store])
+  }, [
+    storageKey,
+    adapter,
+    key,
+    persist,
+    store,
+    createError,
+    reportError,
+    reportInvalidValue
+  ])
 
-  // Handles writing data to browser storage and triggering cross-tab events.
+  // Handles writing data to storage and triggering cross-tab events.
   const performSync = useCallback(
     newValue => {
-      if (!persist || typeof window === 'undefined') return
-
-      if (isIdbTarget) {
-        // Handle Async IndexedDB Write
-        const writePromise =
-          newValue === undefined
-            ? idb.del(storageKey)
-            : idb.set(storageKey, newValue)
-
-        writePromise
-          .then(() => {
-            // Cross-tab sync for IndexedDB using BroadcastChannel
-            if (
-              notify === 'cross-tab' ||
-              notify === 'cross-component-and-tab'
-            ) {
-              const bc = new BroadcastChannel('adv_state_channel')
-              bc.postMessage({ key: storageKey, value: newValue })
-              bc.close()
-            }
-          })
-          .catch(e =>
-            console.warn(`[AdvancedState] IDB save failed for ${key}:`, e)
+      if (!adapter || typeof window === 'undefined') return
+
+      // A new write supersedes the error of the last one
+      showError(null)
+      return writeToStorage({
+        key,
+        adapter,
+        storageKey,
+        value: newValue,
+        notify,
+        transport: store.transport,
+        options: storageOptionsRef.current,
+        persist,
+        onError: reportError
+      })
+    },
+    [adapter, storageKey, key, notify, persist, store, showError, reportError]
+  )
+
+  // --- Undo/redo history ---
+  const historyConfig = resolveHistoryConfig(history)
+  const historyLimit = historyConfig ? historyConfig.limit : 0
+  const isHistoryPersisted = !!(historyConfig && historyConfig.persist)
+  // The URL holds the value only
+  const historyStorageKey =
+    isHistoryPersisted && adapter && !adapter.external
+      ? getHistoryStorageKey(storageKey)
+      : null
+
+  const [historyState, setHistoryState] = useState(emptyHistory)
+  // Mirrors the history for callbacks that run before the next render
+  const historyRef = useRef(emptyHistory)
+
+  const updateHistory = useCallback(
+    (nextHistory, shouldPersist = true) => {
+      historyRef.current = nextHistory
+      setHistoryState(nextHistory)
+      if (!shouldPersist || !historyStorageKey) return
+      if (typeof window === 'undefined') return
+      store.scheduleWrite(historyStorageKey, debounceDelay, () =>
+        writeToStorage({
+          key,
+          adapter,
+          storageKey: historyStorageKey,
+          value: { past: nextHistory.past, future: nextHistory.future },
+          options: getHistoryCodecOptions(storageOptionsRef.current),
+          persist,
+          onError: reportError
+        })
+      )
+    },
+    [
+      store,
+      key,
+      adapter,
+      persist,
+      historyStorageKey,
+      debounceDelay,
+      reportError
+    ]
+  )
+
+  // Restores a persisted history
+  useEffect(() => {
+    if (!historyStorageKey || typeof window === 'undefined') return
+
+    let isCancelled = false
+    settle(
+      () => adapter.get(historyStorageKey),
+      storedValue => {
+        const record = readStoredValue(
+          adapter,
+          storedValue,
+          getHistoryCodecOptions(storageOptionsRef.current)
+        )
+        if (isCancelled || !record || record.expired) return
+        const { past = [], future = [] } = record.value || {}
+        updateHistory({ past, future, lastChangeAt: 0 }, false)
+      },
+      e =>
+        reportError(
+          createError(
+            'PARSE_FAILED',
+            `Discarded unreadable history for ${key}`,
+            e
           )
+        )
+    )
+    return () => {
+      isCancelled = true
+    }
+  }, [adapter, historyStorageKey, key, updateHistory, createError, reportError])
+
+  // Applies a new value. Local sets, undo and redo all take this path, so
+  // they are persisted and notified the same way.
+  const commitValue = useCallback(
+    (valueOrFn, source, { skipWrite = false } = {}) => {
+      // Shared values are always current in the store
+      const prevValue = isShared ? store.getState(key) : latestValueRef.current
+      const newValue =
+        typeof valueOrFn === 'function' ? valueOrFn(prevValue) : valueOrFn
+
+      if (Object.is(prevValue, newValue)) return
+
+      // 1. Instantly update the ref to prevent stale closures
+      latestValueRef.current = newValue
+
+      // 2. Update the value
+      if (isShared) {
+        // Updates store AND triggers subscriptions of this key
+        store.setState(key, newValue, { source, scope })
       } else {
-        const storage = persist === 'local' ? localStorage : sessionStorage
-        try {
-          if (newValue === undefined) {
-            storage.removeItem(storageKey)
-          } else {
-            const valueToStore = JSON.stringify(newValue)
-            storage.setItem(storageKey, valueToStore)
-          }
+        // Update React state immediately, and the store SILENTLY
+        setOwnValue(newValue)
+        store.setSilent(key, newValue, { source, scope })
+      }
 
-          // Trigger a storage event in other tabs by briefly utilizing the
-          // secondary storage mechanism as a conduit.
-          if (notify === 'cross-tab' || notify === 'cross-component-and-tab') {
-            const otherStorage =
-              persist === 'local' ? sessionStorage : localStorage
-            if (newValue !== undefined) {
-              otherStorage.setItem(storageKey, JSON.stringify(newValue))
-            }
-            otherStorage.removeItem(storageKey)
-          }
-        } catch (e) {
-          console.warn(`[AdvancedState] Failed to save value for ${key}:`, e)
-          if (persist === 'session') {
-            try {
-              sessionStorage.removeItem(storageKey)
-              console.warn(
-                `[AdvancedState] Cleared stale session data for ${key} due to quota limits.`
-              )
-            } catch (cleanupError) {
-              console.error(
-                `[AdvancedState] Failed to clean up session storage, because: ${cleanupError.message}`
-              )
-            }
-          }
-        }
+      // 3. Record the change; undo and redo manage the history themselves
+      if (historyLimit > 0 && source === 'set') {
+        updateHistory(
+          recordChange(historyRef.current, prevValue, {
+            now: Date.now(),
+            groupWindow: debounceDelay,
+            limit: historyLimit
+          })
+        )
+      }
+
+      // 4. Queue persistence. Pending writes of the key are shared with
+      // other hooks and the imperative API, so the latest write wins.
+      if (adapter && !skipWrite && typeof window !== 'undefined') {
+        if (storageOptionsRef.current.resolveConflict) tick(storageKey)
+        store.scheduleWrite(storageKey, debounceDelay, () =>
+          performSync(newValue)
+        )
       }
     },
-    [persist, storageKey, notify]
+    [
+      isShared,
+      key,
+      scope,
+      store,
+      adapter,
+      storageKey,
+      debounceDelay,
+      performSync,
+      historyLimit,
+      updateHistory
+    ]
   )
 
-  useEffect(() => {
-    debouncedSync.current =
-      debounceDelay > 0 ? debounce(performSync, debounceDelay) : performSync
-  }, [performSync, debounceDelay])
+  // Core setter function. Evaluates the new value and orchestrates local,
+  // contextual, and persistent updates cleanly without side-effect overlap.
+  // In atomic mode, the setter reads the persisted value under a lock
+  // shared by all tabs, and returns a promise of the committed value.
+  const setFn = useCallback(
+    valueOrFn => {
+      if (!isAtomic || !adapter || typeof window === 'undefined') {
+        return commitValue(valueOrFn, 'set')
+      }
+      return updateAtomically({
+        store,
+        key,
+        adapter,
+        storageKey,
+        valueOrFn,
+        notify,
+        persist,
+        options: storageOptionsRef.current,
+        getLocalValue: () =>
+          isShared ? store.getState(key) : latestValueRef.current,
+        applyValue: newValue =>
+          commitValue(newValue, 'set', { skipWrite: true }),
+        onError: reportError
+      })
+    },
+    [
+      isAtomic,
+      isShared,
+      adapter,
+      store,
+      key,
+      storageKey,
+      notify,
+      persist,
+      commitValue
+    ]
+  )
+
+  // --- Scope changes (client-side navigation) ---
+  // Another scope is another stored value. Pending writes are flushed to
+  // the scope they were made in, then the new scope's value is loaded as on
+  // mount: from synchronous targets right away, from asynchronous ones by
+  // the load effect, starting from the initial value.
+  const loadedScopeRef = useRef({ scope, storageKey })
 
-  // Context Subscription: Listen for changes from other components.
+  useIsomorphicLayoutEffect(() => {
+    const loaded = loadedScopeRef.current
+    loadedScopeRef.current = { scope, storageKey }
+    if (loaded.scope === scope || !persist) return
+
+    // Scopes with `missingScope: 'disable'` have nothing to flush or load
+    if (loaded.storageKey) {
+      store.flushWrite(loaded.storageKey)
+      store.flushWrite(getHistoryStorageKey(loaded.storageKey))
+    }
+    updateHistory(emptyHistory, false)
+
+    let value = initial
+    wasCachedRef.current = false
+    if (isAsyncTarget) {
+      setIsInitializing(true)
+    } else if (adapter) {
+      const record = readSyncRecord()
+      if (record) {
+        adoptClock(storageKey, record.clock)
+        value = record.value
+        wasCachedRef.current = true
+      }
+    }
+    setOwnValueIfChanged(value)
+    store.setState(key, value, { source: 'load', scope })
+  }, [scope, storageKey])
+
+  // Store API writes: values the API sets, or copies or moves to this
+  // hook's storage key, or removes from it, replace the current value. So
+  // do values of the key restored by DevTools time travel.
   useEffect(() => {
-    if (notify === 'cross-component' || notify === 'cross-component-and-tab') {
-      const unsubscribe = store.subscribe((updatedKey, newValue) => {
-        if (updatedKey === key) {
-          setLocalValue(prev => (Object.is(prev, newValue) ? prev : newValue))
-        }
-      })
-      return unsubscribe
+    const handleApiValue = (newValue, { isRestored = false } = {}) => {
+      const value = newValue === undefined ? initialRef.current : newValue
+      setOwnValueIfChanged(value)
+      if (isShared && !isRestored) {
+        store.setState(key, value, { source: 'api', scope })
+      }
+    }
+    const unwatchKey = store.watchKey(key, handleApiValue)
+    const unwatchStorage = storageKey
+      ? store.watchStorage(storageKey, handleApiValue)
+      : () => {}
+    return () => {
+      unwatchKey()
+      unwatchStorage()
     }
-  }, [notify, store, key])
+  }, [store, storageKey, key, scope, isShared, setOwnValueIfChanged])
 
-  // Storage Subscription: Listen for changes from other tabs/windows.
+  // Storage Subscription: Listen for changes from other tabs/windows, and
+  // to external values (the URL) on navigation.
   useEffect(() => {
+    const isCrossTab =
+      notify === 'cross-tab' || notify === 'cross-component-and-tab'
     if (
-      (notify === 'cross-tab' || notify === 'cross-component-and-tab') &&
-      persist &&
+      adapter &&
+      adapter.subscribe &&
+      (isCrossTab || adapter.external) &&
       typeof window !== 'undefined'
     ) {
-      if (isIdbTarget) {
-        const bc = new BroadcastChannel('adv_state_channel')
-        bc.onmessage = event => {
-          if (event.data.key === storageKey) {
-            const newValue = event.data.value
-            setLocalValue(prev => (Object.is(prev, newValue) ? prev : newValue))
-            if (notify === 'cross-component-and-tab')
-              store.setState(key, newValue)
+      const handleRemoteWrite = (storedValue, via) => {
+        try {
+          const record = readStoredValue(
+            adapter,
+            storedValue,
+            storageOptionsRef.current
+          )
+          if (record && record.expired) return
+          let newValue = record ? record.value : undefined
+          // A param removed by navigation resets the value
+          if (!record && adapter.external) newValue = initialRef.current
+
+          // Navigation wins over a debounced write that has not reached
+          // the URL yet
+          if (adapter.external) store.cancelWrite(storageKey)
+
+          const { resolveConflict } = storageOptionsRef.current
+          if (resolveConflict) {
+            const localValue = isShared
+              ? store.getState(key)
+              : latestValueRef.current
+            const resolution = resolveRemoteWrite({
+              key,
+              storageKey,
+              strategy: resolveConflict,
+              localValue,
+              remoteValue: newValue,
+              remoteClock: record ? record.clock : undefined,
+              hasPendingWrite: store.isWritePending(storageKey)
+            })
+            if (resolution.outcome === 'merged') {
+              commitValue(resolution.value, 'merge')
+              return
+            }
+            if (resolution.outcome === 'local') {
+              if (resolution.repair) performSync(localValue)
+              return
+            }
+            if (resolution.cancelWrite) store.cancelWrite(storageKey)
           }
-        }
-        return () => bc.close()
-      } else {
-        const handleStorageChange = event => {
-          const otherStorage =
-            persist === 'local' ? sessionStorage : localStorage
-          if (event.storageArea === otherStorage && event.key === storageKey) {
-            try {
-              const newValue = JSON.parse(event.newValue)
-
-              setLocalValue(prev =>
-                Object.is(prev, newValue) ? prev : newValue
-              )
 
-              if (notify === 'cross-component-and-tab') {
-                store.setState(key, newValue)
-              }
-            } catch (e) {
-              console.error(
-                `[AdvancedState] Failed to parse stored value for ${key}:`,
+          setOwnValueIfChanged(newValue)
+
+          const meta = {
+            source: via || adapter.transport || 'cross-tab',
+            scope
+          }
+          if (isShared) {
+            store.setState(key, newValue, meta)
+          } else {
+            // Keeps `meta.get` and the imperative API current
+            store.setSilent(key, newValue, meta)
+          }
+        } catch (e) {
+          // Invalid values from other tabs are ignored; storage keeps them,
+          // as the other tab may still rely on them.
+          if (isValidationError(e)) {
+            reportInvalidValue(e)
+          } else {
+            reportError(
+              createError(
+                'PARSE_FAILED',
+                `Failed to parse stored value for ${key}`,
                 e
               )
-            }
+            )
           }
         }
-        window.addEventListener('storage', handleStorageChange)
-        return () => window.removeEventListener('storage', handleStorageChange)
       }
+      return adapter.subscribe(storageKey, handleRemoteWrite, store.transport)
     }
-  }, [notify, persist, storageKey, key, store])
+  }, [
+    notify,
+    adapter,
+    storageKey,
+    scope,
+    key,
+    store,
+    isShared,
+    createError,
+    reportError,
+    reportInvalidValue,
+    setOwnValueIfChanged,
+    performSync,
+    commitValue
+  ])
+
+  const undo = useCallback(() => {
+    const current = isShared ? store.getState(key) : latestValueRef.current
+    const step = undoChange(historyRef.current, current)
+    if (!step) return
+    updateHistory(step.history)
+    commitValue(step.value, 'undo')
+  }, [isShared, store, key, updateHistory, commitValue])
+
+  const redo = useCallback(() => {
+    const current = isShared ? store.getState(key) : latestValueRef.current
+    const step = redoChange(historyRef.current, current)
+    if (!step) return
+    updateHistory(step.history)
+    commitValue(step.value, 'redo')
+  }, [isShared, store, key, updateHistory, commitValue])
+
+  const canUndo = historyState.past.length > 0
+  const canRedo = historyState.future.length > 0
 
-  // Core setter function. Evaluates the new value and orchestrates local,
-  // contextual, and persistent updates cleanly without side-effect overlap.
-  const setFn = useCallback(
-    valueOrFn => {
-      const prevValue = latestValueRef.current
-      const newValue =
-        typeof valueOrFn === 'function' ? valueOrFn(prevValue) : valueOrFn
+  const meta = useMemo(
+    () => ({
+      // Read on access, as loads update it after the render
+      get isCached () {
+        return wasCachedRef.current
+      },
+      isInitializing,
+      error,
+      get: () => store.getState(key),
+      // Sizes are only tracked for keys with `compress`
+      getSize: () => (storageKey ? store.getSize(storageKey) : null),
+      undo,
+      redo,
+      canUndo,
+      canRedo
+    }),
+    [
+      store,
+      key,
+      storageKey,
+      isInitializing,
+      error,
+      undo,
+      redo,
+      canUndo,
+      canRedo
+    ]
+  )
 
-      if (Object.is(prevValue, newValue)) return
+  return [localValue, setFn, meta]
+}
 
-      // 1. Instantly update the ref to prevent stale closures
-      latestValueRef.current = newValue
+/**
+ * Reads a slice of a shared value. The component re-renders only when the
+ * selected slice changes, not on every change of the whole value.
+ * Read-only: write through `useAdvancedState` with cross-component sync.
+ *
+ * @template T, S
+ * @param {string} key - The key of the shared value.
+ * @param {(value: T) => S} selector - Picks the slice, e.g. `s => s.theme`.
+ * @param {(a: S, b: S) => boolean} [equalityFn=Object.is] - Decides whether the slice changed.
+ * @returns {S}
+ */
+export function useAdvancedStateSelector (key, selector, equalityFn = Object.is) {
+  const { store, defaultsMap } = useContext(AdvancedStateContext)
+  const config = defaultsMap.get(key)
+
+  // Keys configured through provider defaults are loaded from storage, so
+  // the slice is correct even if no useAdvancedState hook for the key is
+  // mounted (yet).
+  const syncLoadRef = useRef(false)
+  if (!syncLoadRef.current) {
+    syncLoadRef.current = true
+    const adapter = config && store.getAdapter(config)
+    if (adapter && !adapter.async) loadIntoStore(store, key, config)
+  }
 
-      // 2. Update React state immediately
-      setLocalValue(newValue)
+  useEffect(() => {
+    const adapter = config && store.getAdapter(config)
+    if (adapter && adapter.async) {
+      return loadIntoStore(store, key, config)
+    }
+  }, [store, key, config])
 
-      // 3. Update the central store
-      if (
-        notify === 'cross-component' ||
-        notify === 'cross-component-and-tab'
-      ) {
-        store.setState(key, newValue) // Updates store AND triggers subscriptions
-      } else {
-        store.setSilent(key, newValue) // Updates store SILENTLY
-      }
+  const subscribeToKey = useCallback(
+    onStoreChange => store.subscribe(key, onStoreChange),
+    [store, key]
+  )
 
-      // 4. Queue persistence
-      if (debouncedSync.current) {
-        debouncedSync.current(newValue)
+  // The last rendered selection. Inline selectors recreate `getSelection`
+  // on every render, so it has to outlive the memo below.
+  const renderedRef = useRef(null)
+
+  // Memoizes the selection per store snapshot, and keeps the previous
+  // selection while `equalityFn` considers it unchanged, so an unrelated
+  // change of the value does not re-render.
+  const getSelection = useMemo(() => {
+    let hasMemo = false
+    let memoSnapshot
+    let memoSelection
+    return () => {
+      const snapshot = store.getState(key)
+      if (hasMemo && Object.is(memoSnapshot, snapshot)) return memoSelection
+
+      const previous = hasMemo
+        ? { selection: memoSelection }
+        : renderedRef.current
+      let selection = selector(snapshot)
+      if (previous && equalityFn(previous.selection, selection)) {
+        selection = previous.selection
       }
-    },
-    [notify, key, store]
-  )
 
-  const meta = useMemo(
-    () => ({
-      isCached: wasCachedRef.current,
-      isInitializing,
-      get: () => store.getState(key)
-    }),
-    [store, key, isInitializing]
+      hasMemo = true
+      memoSnapshot = snapshot
+      memoSelection = selection
+      return selection
+    }
+  }, [store, key, selector, equalityFn])
+
+  const selection = useSyncExternalStore(
+    subscribeToKey,
+    getSelection,
+    getSelection
   )
 
-  return [localValue, setFn, meta]
+  useEffect(() => {
+    renderedRef.current = { selection }
+  }, [selection])
+
+  return selection
+}
+
+/**
+ * Returns whether this tab is the leader among all tabs using the nearest
+ * provider's prefix. Exactly one tab leads at a time; if it closes, another
+ * one takes over. Gate background jobs on it that should not run in every
+ * tab, e.g. polling or syncing with a server.
+ * @returns {boolean}
+ */
+export function useIsLeaderTab () {
+  const { leader } = useContext(AdvancedStateContext)
+  return useSyncExternalStore(leader.subscribe, leader.isLeader, isNeverLeader)
+}
+
+/**
+ * Returns the imperative API (`getState`, `setState`, `subscribe` and scope
+ * management) of the nearest provider's store, e.g. to hand it to code
+ * outside React.
+ * @returns {import('./store').AdvancedStore}
+ */
+export function useAdvancedStore () {
+  const { store } = useContext(AdvancedStateContext)
+  return getStoreApi(store)
 }
@@ -0,0 +1,154 @@
+// src/leader.js
+
+import { LOCK_PREFIX, hasWebLocks } from './locks'
+
+/**
+ * @typedef {object} LeaderElectionConfig
+ * @property {number} [heartbeatInterval=1000] - How often the leader renews its lease, without Web Locks.
+ * @property {number} [timeout=5000] - How long a lease lasts without renewal, before another tab takes over.
+ */
+
+/**
+ * @typedef {object} LeaderElector
+ * @property {() => boolean} isLeader - Whether this tab is the leader.
+ * @property {(listener: () => void) => () => void} subscribe - Joins the election on the first subscription, and leaves it after the last.
+ */
+
+// Electors by election name, shared by all providers of a tab
+const electors = new Map()
+
+/** @type {LeaderElector} */
+export const alwaysLeader = {
+  isLeader: () => true,
+  subscribe: () => () => {}
+}
+
+function createLeaderElector (name, config) {
+  const { heartbeatInterval = 1000, timeout = 5000 } = config
+  const listeners = new Set()
+  let isLeader = false
+  let leave = null
+
+  const setLeader = value => {
+    if (isLeader === value) return
+    isLeader = value
+    listeners.forEach(listener => listener())
+  }
+
+  // Holds a Web Lock for as long as the tab takes part. The browser
+  // releases it when the tab closes or crashes, and grants it to the next
+  // tab in line.
+  const joinWithLock = () => {
+    const controller = new AbortController()
+    let release = null
+    navigator.locks
+      .request(
+        `${LOCK_PREFIX}__leader__:${name}`,
+        { signal: controller.signal },
+        () => {
+          setLeader(true)
+          return new Promise(resolve => {
+            release = resolve
+          })
+        }
+      )
+      // Rejects with an AbortError if the tab leaves while waiting
+      .catch(() => {})
+
+    return () => {
+      controller.abort()
+      if (release) release()
+    }
+  }
+
+  // Without Web Locks, the leader renews a lease in localStorage on every
+  // heartbeat. Other tabs take over once it has expired, or right away
+  // when the leader resigns.
+  const joinWithLease = () => {
+    const leaseKey = `adv_state_leader:${name}`
+    const id =
+      Math.random().toString(36).substring(2, 15) + Date.now().toString(36)
+
+    const readLease = () => {
+      try {
+        return JSON.parse(localStorage.getItem(leaseKey)) || null
+      } catch (e) {
+        return null
+      }
+    }
+
+    const heartbeat = () => {
+      const lease = readLease()
+      const now = Date.now()
+      // Two tabs may claim an expired lease at once. The one that wrote
+      // last holds it, the other steps down on its next heartbeat.
+      if (lease && lease.id !== id && lease.expiresAt > now) {
+        setLeader(false)
+        return
+      }
+      try {
+        localStorage.setItem(
+          leaseKey,
+          JSON.stringify({ id, expiresAt: now + timeout })
+        )
+        setLeader(true)
+      } catch (e) {
+        // Without storage, tabs can't coordinate; each one leads itself
+        setLeader(true)
+      }
+    }
+
+    const handleStorageChange = event => {
+      if (event.key === leaseKey && event.newValue === null) heartbeat()
+    }
+
+    heartbeat()
+    const intervalId = setInterval(heartbeat, heartbeatInterval)
+    window.addEventListener('storage', handleStorageChange)
+
+    return () => {
+      clearInterval(intervalId)
+      window.removeEventListener('storage', handleStorageChange)
+      const lease = readLease()
+      if (lease && lease.id === id) {
+        try {
+          localStorage.removeItem(leaseKey)
+        } catch (e) {}
+      }
+    }
+  }
+
+  const elector = {
+    isLeader: () => isLeader,
+    subscribe: listener => {
+      listeners.add(listener)
+      if (!leave && typeof window !== 'undefined') {
+        if (!electors.has(name)) electors.set(name, elector)
+        leave = hasWebLocks() ? joinWithLock() : joinWithLease()
+      }
+      return () => {
+        listeners.delete(listener)
+        if (listeners.size > 0 || !leave) return
+        leave()
+        leave = null
+        if (electors.get(name) === elector) electors.delete(name)
+        setLeader(false)
+      }
+    }
+  }
+  return elector
+}
+
+/**
+ * Returns the tab's elector for an election, e.g. of all tabs using the
+ * same prefix. Exactly one tab that takes part is the leader at a time.
+ * @param {string} name
+ * @param {LeaderElectionConfig} [config] - Applies if the tab is not taking part yet.
+ * @returns {LeaderElector}
+ */
+export function getLeaderElector (name, config = {}) {
+  if (!electors.has(name)) {
+    electors.set(name, createLeaderElector(name, config))
+  }
+  return electors.get(name)
+}
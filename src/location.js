@@ -0,0 +1,84 @@
+// src/location.js
+
+/**
+ * The parts of a URL that scopes are resolved from.
+ * @typedef {object} ScopeLocation
+ * @property {string} pathname - E.g. `'/users/42'`.
+ * @property {string} search - E.g. `'?appId=1'`, or `''`.
+ * @property {string} [hash] - E.g. `'#doc=42'`, or `''`.
+ */
+
+const listeners = new Set()
+// The History API methods replaced by `patchHistory`, while it is patched
+let patchedMethods = null
+
+const notifyListeners = () => {
+  for (const listener of [...listeners]) listener()
+}
+
+// `pushState` and `replaceState` fire no event, so they are wrapped while
+// there are listeners to notify them like `popstate` does. Routers that
+// navigate through the History API (React Router, Next.js) are followed
+// without configuration.
+function patchHistory () {
+  if (patchedMethods) return
+  patchedMethods = {}
+  for (const method of ['pushState', 'replaceState']) {
+    const original = window.history[method]
+    const wrapper = function (...args) {
+      const result = original.apply(this, args)
+      notifyListeners()
+      return result
+    }
+    patchedMethods[method] = { original, wrapper }
+    window.history[method] = wrapper
+  }
+  window.addEventListener('popstate', notifyListeners)
+  window.addEventListener('hashchange', notifyListeners)
+}
+
+// Puts the original methods back once the last listener left. Methods
+// another script wrapped in turn stay wrapped, as restoring them would
+// drop that script's wrapper; they notify nobody until the next listener.
+function unpatchHistory () {
+  if (!patchedMethods) return
+  const methods = Object.keys(patchedMethods)
+  const isStillWrapped = methods.every(
+    method => window.history[method] === patchedMethods[method].wrapper
+  )
+  if (!isStillWrapped) return
+  for (const method of methods) {
+    window.history[method] = patchedMethods[method].original
+  }
+  patchedMethods = null
+  window.removeEventListener('popstate', notifyListeners)
+  window.removeEventListener('hashchange', notifyListeners)
+}
+
+/**
+ * @returns {ScopeLocation | null} The browser's location, or `null` on the server.
+ */
+export function getBrowserLocation () {
+  if (typeof window === 'undefined') return null
+  return {
+    pathname: window.location.pathname,
+    search: window.location.search,
+    hash: window.location.hash
+  }
+}
+
+/**
+ * Calls `callback` after every client-side navigation: `pushState`,
+ * `replaceState`, back/forward (`popstate`) and hash changes.
+ * @param {() => void} callback
+ * @returns {() => void} Unsubscribes.
+ */
+export function subscribeToBrowserLocation (callback) {
+  if (typeof window === 'undefined') return () => {}
+  patchHistory()
+  listeners.add(callback)
+  return () => {
+    listeners.delete(callback)
+    if (listeners.size === 0) unpatchHistory()
+  }
+}
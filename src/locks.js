@@ -0,0 +1,46 @@
+// src/locks.js
+
+// Namespaces lock names, so they don't clash with the app's own locks
+export const LOCK_PREFIX = 'adv_state:'
+
+// Fallback queues per lock name, for browsers without Web Locks
+const localQueues = new Map()
+
+/**
+ * Checks for the Web Locks API.
+ * @returns {boolean}
+ */
+export function hasWebLocks () {
+  return (
+    typeof navigator !== 'undefined' &&
+    !!navigator.locks &&
+    typeof navigator.locks.request === 'function'
+  )
+}
+
+/**
+ * Runs a callback while holding an exclusive lock. Uses the Web Locks API,
+ * which is shared by all tabs of the origin. Without it, callbacks are
+ * only serialized within the current tab.
+ * @template T
+ * @param {string} name - The lock name, e.g. a storage key.
+ * @param {() => Promise<T> | T} callback
+ * @returns {Promise<T>} Settles with the callback's result.
+ */
+export function withLock (name, callback) {
+  const lockName = `${LOCK_PREFIX}${name}`
+
+  if (hasWebLocks()) {
+    return navigator.locks.request(lockName, () => callback())
+  }
+
+  const previous = localQueues.get(lockName) || Promise.resolve()
+  const result = previous.then(() => callback())
+  // The next callback waits for this one, whether it succeeds or not
+  const queued = result.catch(() => {})
+  localQueues.set(lockName, queued)
+  queued.then(() => {
+    if (localQueues.get(lockName) === queued) localQueues.delete(lockName)
+  })
+  return result
+}
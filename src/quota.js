@@ -0,0 +1,292 @@
+// src/quota.js
+
+import { readStoredMeta, joinStoredValue } from './codec'
+import { resolveAdapter } from './storage-adapters'
+import {
+  createAdvancedStateError,
+  getWriteErrorCode,
+  logError
+} from './errors'
+
+// Marks the stub left behind for a value that moved to a fallback target,
+// naming the target
+const MOVED = 'at'
+
+/**
+ * @typedef {object} QuotaConfig
+ * @property {'lru' | 'priority' | false} [evict='lru'] - Evicts other keys of the prefix to make room: the least recently used first, or the lowest `priority` first. `false` disables eviction.
+ * @property {Object<string, string> | false} [fallback={ local: 'localdb', session: 'sessiondb' }] - The target a value moves to when eviction can't make room, per target. `false` disables it.
+ * @property {(info: QuotaExceededInfo) => void} [onQuotaExceeded] - Called when a value could not be written anyway. Replaces the default console logging of these errors; `onError` handlers still receive them.
+ */
+
+/**
+ * @typedef {object} QuotaExceededInfo
+ * @property {string} key
+ * @property {string} storageKey
+ * @property {number} [size] - The size of the value in bytes, if known.
+ * @property {Error} error
+ */
+
+/**
+ * When a key was last read or written by this tab, and its priority.
+ * `sequence` orders accesses within the same millisecond.
+ * @typedef {Map<string, { lastAccess: number, sequence: number, priority: number }>} AccessLog
+ */
+
+let accessSequence = 0
+
+export const defaultQuotaConfig = {
+  evict: 'lru',
+  fallback: { local: 'localdb', session: 'sessiondb' }
+}
+
+/**
+ * Maps the `quota` option to a configuration.
+ * @param {boolean | QuotaConfig} [quota]
+ * @returns {QuotaConfig | null} `null` if the policy is disabled.
+ */
+export function resolveQuotaConfig (quota) {
+  if (!quota) return null
+  return quota === true
+    ? defaultQuotaConfig
+    : { ...defaultQuotaConfig, ...quota }
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean} Whether a write failed because storage is full.
+ */
+export function isQuotaExceededError (error) {
+  return (
+    !!error &&
+    (error.name === 'QuotaExceededError' ||
+      // Firefox
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014)
+  )
+}
+
+/**
+ * Creates the error thrown when the policy could not make room for a value.
+ * @param {Error} cause - The error of the last attempt.
+ * @param {number} size
+ * @returns {Error}
+ */
+function createQuotaError (cause, size) {
+  const error = new Error(`Not enough storage for a value of ${size} bytes`)
+  error.name = 'QuotaExceededError'
+  error.size = size
+  error.cause = cause
+  return error
+}
+
+function getFallbackKey (fallbackAdapter, storageKey) {
+  return fallbackAdapter.resolveKey
+    ? fallbackAdapter.resolveKey(storageKey)
+    : storageKey
+}
+
+/**
+ * Wraps a Web Storage adapter so writes that exceed the quota evict other
+ * keys of the prefix and are retried, or move to a fallback target. A
+ * moved value leaves a stub behind, which points loads to the fallback.
+ * Every read and write is recorded in the access log. Without a policy,
+ * quota errors are thrown as before.
+ * @param {import('./storage-adapters').StorageAdapter} adapter - An adapter with `getStorage`.
+ * @param {object} options
+ * @param {string} [options.target] - The adapter's built-in target name, e.g. `'local'`.
+ * @param {number} [options.priority=0] - The priority of keys written through the wrapper.
+ * @param {AccessLog} options.accessLog
+ * @param {() => string} options.getPrefix
+ * @param {() => QuotaConfig | null} options.getPolicy
+ * @param {(error: import('./errors').AdvancedStateError) => void} [options.onError] - Reports moved copies that failed to be removed. Defaults to console logging.
+ * @param {() => boolean} [options.hasErrorHandler] - Whether the app handles errors itself. Evictions are logged to the console otherwise.
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createQuotaAwareAdapter (adapter, options) {
+  const {
+    target,
+    priority = 0,
+    accessLog,
+    getPrefix,
+    getPolicy,
+    onError = logError,
+    hasErrorHandler = () => false
+  } = options
+
+  const touch = storageKey =>
+    accessLog.set(storageKey, {
+      lastAccess: Date.now(),
+      sequence: ++accessSequence,
+      priority
+    })
+
+  const readMeta = storedValue => {
+    if (storedValue === undefined || storedValue === null) return {}
+    try {
+      return readStoredMeta(adapter, storedValue)
+    } catch (e) {
+      return {}
+    }
+  }
+
+  const getMovedTarget = storageKey =>
+    readMeta(adapter.get(storageKey))[MOVED] || null
+
+  const removeFallbackCopy = (movedTo, storageKey) => {
+    const fallbackAdapter = resolveAdapter(movedTo)
+    if (!fallbackAdapter) return
+    Promise.resolve()
+      .then(() =>
+        fallbackAdapter.remove(getFallbackKey(fallbackAdapter, storageKey))
+      )
+      .catch(e =>
+        onError(
+          createAdvancedStateError(
+            getWriteErrorCode(movedTo),
+            `Failed to remove the moved value of ${storageKey}`,
+            { storageKey, persist: movedTo, cause: e }
+          )
+        )
+      )
+  }
+
+  // Removes other keys of the prefix one by one, in eviction order, and
+  // retries the write after each. Returns the evicted keys, or null if the
+  // value still doesn't fit.
+  const evictUntilStored = (storageKey, value, mode) => {
+    const storage = adapter.getStorage()
+    const prefix = `${getPrefix()}:`
+
+    const candidates = []
+    for (let i = 0; i < storage.length; i++) {
+      const candidateKey = storage.key(i)
+      if (!candidateKey || !candidateKey.startsWith(prefix)) continue
+      if (candidateKey === storageKey) continue
+      const meta = readMeta(storage.getItem(candidateKey))
+      // Stubs are tiny, and the only way to find a moved value
+      if (meta[MOVED]) continue
+      const entry = accessLog.get(candidateKey)
+      candidates.push({
+        storageKey: candidateKey,
+        // Keys this tab has not touched count from their last write, which
+        // the store stamps while the policy evicts
+        lastAccess: entry ? entry.lastAccess : meta.ts || 0,
+        sequence: entry ? entry.sequence : 0,
+        priority: entry ? entry.priority : 0
+      })
+    }
+
+    // Keys of a higher priority are never evicted for a lower one
+    const evictable =
+      mode === 'priority'
+        ? candidates.filter(candidate => candidate.priority <= priority)
+        : candidates
+    evictable.sort((a, b) => {
+      if (mode === 'priority' && a.priority !== b.priority) {
+        return a.priority - b.priority
+      }
+      return a.lastAccess - b.lastAccess || a.sequence - b.sequence
+    })
+
+    const evicted = []
+    for (const candidate of evictable) {
+      storage.removeItem(candidate.storageKey)
+      accessLog.delete(candidate.storageKey)
+      evicted.push(candidate.storageKey)
+      try {
+        adapter.set(storageKey, value)
+        return evicted
+      } catch (e) {
+        if (!isQuotaExceededError(e)) throw e
+      }
+    }
+    return null
+  }
+
+  // Writes the value to the fallback target, and replaces the stored value
+  // with a stub pointing to it
+  const moveToFallback = (storageKey, value, fallbackTarget) => {
+    const fallbackAdapter = resolveAdapter(fallbackTarget)
+    return Promise.resolve(
+      fallbackAdapter.set(getFallbackKey(fallbackAdapter, storageKey), value)
+    ).then(() => {
+      // Frees the space of the outdated value before writing the stub
+      adapter.remove(storageKey)
+      adapter.set(
+        storageKey,
+        joinStoredValue(adapter, { [MOVED]: fallbackTarget }, null)
+      )
+    })
+  }
+
+  const handleQuotaExceeded = (storageKey, value, error, policy, onStored) => {
+    const size = typeof value === 'string' ? value.length * 2 : undefined
+
+    if (policy.evict) {
+      const evicted = evictUntilStored(storageKey, value, policy.evict)
+      if (evicted) {
+        // Apps that handle quota problems themselves don't get the log
+        if (!policy.onQuotaExceeded && !hasErrorHandler()) {
+          console.warn(
+            `[AdvancedState] Evicted ${evicted.length} key(s) to make room for ${storageKey}:`,
+            evicted
+          )
+        }
+        onStored()
+        return
+      }
+    }
+
+    const fallbackTarget = policy.fallback && policy.fallback[target]
+    if (fallbackTarget && resolveAdapter(fallbackTarget)) {
+      return moveToFallback(storageKey, value, fallbackTarget).catch(
+        fallbackError => {
+          throw createQuotaError(fallbackError, size)
+        }
+      )
+    }
+    throw createQuotaError(error, size)
+  }
+
+  return {
+    ...adapter,
+    // Loads of moved values resolve asynchronously, from the fallback
+    isAsyncKey: storageKey => !!getMovedTarget(storageKey),
+    get: storageKey => {
+      touch(storageKey)
+      const storedValue = adapter.get(storageKey)
+      const movedTo = readMeta(storedValue)[MOVED]
+      if (!movedTo) return storedValue
+
+      const fallbackAdapter = resolveAdapter(movedTo)
+      if (!fallbackAdapter) return undefined
+      return Promise.resolve(
+        fallbackAdapter.get(getFallbackKey(fallbackAdapter, storageKey))
+      )
+    },
+    set: (storageKey, value) => {
+      touch(storageKey)
+      const movedTo = getMovedTarget(storageKey)
+      // Once the value fits again, the moved copy is outdated
+      const onStored = () => {
+        if (movedTo) removeFallbackCopy(movedTo, storageKey)
+      }
+      try {
+        adapter.set(storageKey, value)
+      } catch (e) {
+        const policy = getPolicy()
+        if (!policy || !isQuotaExceededError(e)) throw e
+        return handleQuotaExceeded(storageKey, value, e, policy, onStored)
+      }
+      onStored()
+    },
+    remove: storageKey => {
+      accessLog.delete(storageKey)
+      const movedTo = getMovedTarget(storageKey)
+      adapter.remove(storageKey)
+      if (movedTo) removeFallbackCopy(movedTo, storageKey)
+    }
+  }
+}
@@ -0,0 +1,196 @@
+// src/scoping.js
+
+import { getBrowserLocation } from './location'
+import { stripStateParams } from './url-state'
+
+// Joins the parts of a composite scope, like path patterns such as "$1_$3"
+const PART_SEPARATOR = '_'
+
+/**
+ * The options that scope a key. All sources that are set make up the
+ * scope, in this order, except for a single param name with a path
+ * pattern: that key is scoped by the param alone, as in earlier versions.
+ * @typedef {object} ScopeOptions
+ * @property {string | Array<string>} [scopeByUrlParam] - URL param(s), e.g. `['tenant', 'doc']`.
+ * @property {string} [scopeByUrlPath] - A path pattern, e.g. `'$1_$3'`.
+ * @property {true | string} [scopeByUrlHash] - The hash fragment, or a param of it (`#doc=42`).
+ * @property {(location: import('./location').ScopeLocation | null, context: object) => string | number | null | undefined} [scopeBy] - A custom scope, e.g. from the provider's `scopeContext`.
+ * @property {MissingScopePolicy} [missingScope='share']
+ */
+
+/**
+ * What happens while a scope source has no value:
+ * - `'share'`: The value falls back to a bucket shared by all such URLs
+ *   (`default-param`, `default-path`, `default-hash` or `default`).
+ * - `'isolate'`: Each URL (path, query and hash) keeps a value of its own.
+ * - `'disable'`: The value is not persisted.
+ * @typedef {'share' | 'isolate' | 'disable'} MissingScopePolicy
+ */
+
+// --- URL Scoping Helpers ---
+
+/**
+ * Gets a URL parameter by name.
+ * @param {string} name - The name of the URL parameter.
+ * @param {string} query - A query string, with or without `?`.
+ * @returns {string | null}
+ */
+function getQueryParam (name, query) {
+  const params = new URLSearchParams(query)
+  return params.get(name)
+}
+
+/**
+ * Gets a URL parameter of the location.
+ * @param {string} name
+ * @param {import('./location').ScopeLocation | null} location
+ * @returns {string | null}
+ */
+function getParamScope (name, location) {
+  return location ? getQueryParam(name, location.search) || null : null
+}
+
+/**
+ * Parses the URL path based on a string-replacement pattern.
+ * @param {string} pattern - e.g., "$1_$3" or "user_$1"
+ * @param {import('./location').ScopeLocation | null} location
+ * @returns {string | null}
+ */
+function parsePathScope (pattern, location) {
+  if (!location || !pattern) return null
+  const pathSegments = location.pathname.split('/').filter(Boolean)
+  const scope = pattern.replace(/\$(\d+)/g, (match, index) => {
+    const i = parseInt(index, 10) - 1
+    return pathSegments[i] || ''
+  })
+  return scope === '' ? null : scope
+}
+
+/**
+ * Reads the hash fragment, or a parameter of it.
+ * @param {true | string} source - `true` for the whole fragment.
+ * @param {import('./location').ScopeLocation | null} location
+ * @returns {string | null}
+ */
+function getHashScope (source, location) {
+  const hash = location && location.hash ? location.hash.slice(1) : ''
+  if (!hash) return null
+  return source === true ? hash : getQueryParam(source, hash)
+}
+
+/**
+ * Calls `scopeBy`. Empty results count as missing.
+ * @returns {string | null}
+ */
+function getCustomScope (scopeBy, location, context) {
+  const scope = scopeBy(location, context)
+  return scope === null || scope === undefined || scope === ''
+    ? null
+    : String(scope)
+}
+
+/**
+ * Resolves the current scope of a key from the URL.
+ * @param {ScopeOptions} options - The key's options.
+ * @param {import('./location').ScopeLocation | null} [location] - Defaults to the browser's location.
+ * @param {object} [context={}] - The provider's `scopeContext`, passed to `scopeBy`.
+ * @returns {string | null | false} `null` for unscoped keys, `false` if a scope value is missing and `missingScope` is `'disable'`.
+ */
+export function getScope (
+  options,
+  location = getBrowserLocation(),
+  context = {}
+) {
+  const {
+    scopeByUrlParam,
+    scopeByUrlPath,
+    scopeByUrlHash,
+    scopeBy,
+    missingScope = 'share'
+  } = options
+
+  // Earlier versions scoped keys with a param and a path by the param
+  // alone. That combination keeps its storage keys; a param in an array
+  // combines with the path.
+  const isParamOnly =
+    typeof scopeByUrlParam === 'string' &&
+    !!scopeByUrlParam &&
+    !scopeByUrlHash &&
+    !scopeBy
+
+  // Each param is a part of its own, so a missing one doesn't hide the
+  // others
+  const sources = []
+  for (const name of [].concat(scopeByUrlParam || [])) {
+    sources.push([getParamScope(name, location), 'default-param'])
+  }
+  if (scopeByUrlPath && !isParamOnly) {
+    sources.push([parsePathScope(scopeByUrlPath, location), 'default-path'])
+  }
+  if (scopeByUrlHash) {
+    sources.push([getHashScope(scopeByUrlHash, location), 'default-hash'])
+  }
+  if (scopeBy) {
+    sources.push([getCustomScope(scopeBy, location, context), 'default'])
+  }
+  if (sources.length === 0) return null
+
+  const isMissing = sources.some(([value]) => value === null)
+  if (isMissing && missingScope === 'disable') return false
+  if (isMissing && missingScope === 'isolate') {
+    // Without a location (on the server) there is no URL to isolate by.
+    // Params of `persist: 'url'` keys change with their values, not with
+    // the page.
+    if (location) {
+      const search = stripStateParams(location.search)
+      return `${location.pathname}${search}${location.hash || ''}`
+    }
+  }
+  return sources
+    .map(([value, fallback]) => (value === null ? fallback : value))
+    .join(PART_SEPARATOR)
+}
+
+/**
+ * @param {ScopeOptions} options
+ * @returns {boolean} Whether the key has a scope.
+ */
+export function isScoped (options) {
+  return !!(
+    (options.scopeByUrlParam && [].concat(options.scopeByUrlParam).length) ||
+    options.scopeByUrlPath ||
+    options.scopeByUrlHash ||
+    options.scopeBy
+  )
+}
+
+/**
+ * Resolves the key under which an adapter stores the value of a scope,
+ * letting the adapter rewrite the scoped key (e.g. sessiondb's tab
+ * namespace).
+ * Format: "<prefix>:<scopeValue>:<key>"
+ * @param {import('./storage-adapters').StorageAdapter} adapter
+ * @param {string} prefix - The global prefix (e.g., 'advState' or 'myApp')
+ * @param {string | null} scope - The scope `getScope` resolved.
+ * @param {string} key - The property key (e.g., 'username')
+ * @returns {string}
+ */
+export function getScopeStorageKey (adapter, prefix, scope, key) {
+  const baseKey = [prefix, scope, key].filter(Boolean).join(':')
+  return adapter.resolveKey ? adapter.resolveKey(baseKey) : baseKey
+}
+
+/**
+ * Reads the scope back from a stored "<prefix>:<scopeValue>:<key>" key.
+ * @param {string} baseKey - The key before the adapter's `resolveKey`.
+ * @param {string} prefix
+ * @param {string} key
+ * @returns {string | null} `null` if the key is not a scoped value of `key`.
+ */
+export function getScopeOfStorageKey (baseKey, prefix, key) {
+  const start = `${prefix}:`
+  const end = `:${key}`
+  if (!baseKey.startsWith(start) || !baseKey.endsWith(end)) return null
+  const scope = baseKey.slice(start.length, baseKey.length - end.length)
+  return scope === '' ? null : scope
+}
@@ -0,0 +1,105 @@
+// src/serializers.js
+
+// Marks a JSON object as an encoded non-JSON value
+const TYPE_TAG = '__advType'
+
+// Stands in for `undefined` array items while a JSON.parse pass runs,
+// because returning `undefined` from a reviver deletes the item.
+const UNDEFINED = { [TYPE_TAG]: 'undefined' }
+
+const TYPED_ARRAYS = {
+  Int8Array: typeof Int8Array !== 'undefined' ? Int8Array : undefined,
+  Uint8Array: typeof Uint8Array !== 'undefined' ? Uint8Array : undefined,
+  Uint8ClampedArray:
+    typeof Uint8ClampedArray !== 'undefined' ? Uint8ClampedArray : undefined,
+  Int16Array: typeof Int16Array !== 'undefined' ? Int16Array : undefined,
+  Uint16Array: typeof Uint16Array !== 'undefined' ? Uint16Array : undefined,
+  Int32Array: typeof Int32Array !== 'undefined' ? Int32Array : undefined,
+  Uint32Array: typeof Uint32Array !== 'undefined' ? Uint32Array : undefined,
+  Float32Array: typeof Float32Array !== 'undefined' ? Float32Array : undefined,
+  Float64Array: typeof Float64Array !== 'undefined' ? Float64Array : undefined,
+  BigInt64Array:
+    typeof BigInt64Array !== 'undefined' ? BigInt64Array : undefined,
+  BigUint64Array:
+    typeof BigUint64Array !== 'undefined' ? BigUint64Array : undefined
+}
+
+function getTypedArrayName (value) {
+  if (!ArrayBuffer.isView(value) || value instanceof DataView) return null
+  const name = value.constructor && value.constructor.name
+  return TYPED_ARRAYS[name] ? name : null
+}
+
+// JSON.stringify calls `toJSON` (e.g. on Dates) before the replacer runs,
+// so the replacer looks at the original value on the holder instead.
+function replacer (name, jsonValue) {
+  const value = this[name]
+
+  if (value === undefined) {
+    return Array.isArray(this) ? UNDEFINED : jsonValue
+  }
+  if (value instanceof Date) {
+    const time = value.getTime()
+    return { [TYPE_TAG]: 'Date', value: isNaN(time) ? null : time }
+  }
+  if (value instanceof Map) {
+    return { [TYPE_TAG]: 'Map', value: [...value.entries()] }
+  }
+  if (value instanceof Set) {
+    return { [TYPE_TAG]: 'Set', value: [...value.values()] }
+  }
+  if (typeof value === 'bigint') {
+    return { [TYPE_TAG]: 'BigInt', value: value.toString() }
+  }
+  const typedArrayName = getTypedArrayName(value)
+  if (typedArrayName) {
+    return { [TYPE_TAG]: typedArrayName, value: Array.from(value) }
+  }
+  return jsonValue
+}
+
+function reviver (name, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item === UNDEFINED ? undefined : item))
+  }
+  if (!value || typeof value !== 'object' || !(TYPE_TAG in value)) {
+    return value
+  }
+
+  const type = value[TYPE_TAG]
+  switch (type) {
+    case 'undefined':
+      return UNDEFINED
+    case 'Date':
+      return new Date(value.value === null ? NaN : value.value)
+    case 'Map':
+      return new Map(value.value)
+    case 'Set':
+      return new Set(value.value)
+    case 'BigInt':
+      return BigInt(value.value)
+    default:
+      return TYPED_ARRAYS[type] ? TYPED_ARRAYS[type].from(value.value) : value
+  }
+}
+
+/**
+ * A drop-in replacement for JSON that round-trips Date, Map, Set, BigInt,
+ * typed arrays and `undefined` array items. Spread it into a key's options:
+ * `useAdvancedState('key', { persist: 'local', ...richSerializer })`.
+ */
+export const richSerializer = {
+  /**
+   * @param {any} value
+   * @returns {string}
+   */
+  serialize: value => JSON.stringify(value, replacer),
+  /**
+   * @param {string} text
+   * @returns {any}
+   */
+  deserialize: text => {
+    const value = JSON.parse(text, reviver)
+    return value === UNDEFINED ? undefined : value
+  }
+}
@@ -0,0 +1,205 @@
+// src/storage-adapters.js
+
+import { idb } from './idb-wrapper'
+import { getTabSessionId } from './utils'
+import { createCookieAdapter } from './cookies'
+import { createUrlAdapter } from './url-state'
+import { createAdvancedStateError, logError } from './errors'
+
+/**
+ * The contract every persistence target implements. Any method may return
+ * a promise; set `async` when `get` does, so the hook loads the value in an
+ * effect (reporting `meta.isInitializing`) instead of during render.
+ *
+ * @typedef {object} StorageAdapter
+ * @property {(storageKey: string) => any} get - Returns the stored value, or `undefined` if there is none.
+ * @property {(storageKey: string, value: any) => any} set - Stores a value.
+ * @property {(storageKey: string) => any} remove - Deletes a value.
+ * @property {(storageKey: string, callback: (value: any, transport?: string) => void, transport: import('./transport').Transport) => () => void} [subscribe] - Listens for writes made by other tabs, e.g. through the store's transport. Returns an unsubscribe function.
+ * @property {(storageKey: string, value: any, transport: import('./transport').Transport) => void} [publish] - Announces a local write to other tabs.
+ * @property {(baseKey: string) => string} [resolveKey] - Rewrites the scoped key before it reaches storage.
+ * @property {(prefix: string) => Array<string> | Promise<Array<string>>} [keys] - Lists the stored keys that start with `prefix`, as keys before `resolveKey`. Required to list and clear scopes.
+ * @property {boolean} [async] - `get` resolves asynchronously.
+ * @property {boolean} [structured] - Stores JS values as-is. Otherwise values are passed in as strings (JSON by default).
+ * @property {boolean} [clearOnWriteError] - Removes the stale entry when a write fails.
+ * @property {() => Storage} [getStorage] - Returns the Web Storage area of adapters on top of one, so quota policies can evict other keys.
+ * @property {(storageKey: string) => boolean} [isAsyncKey] - `get` resolves asynchronously for this key, although the adapter is synchronous.
+ * @property {string} [transport] - Names the cross-tab channel, e.g. `'storage-event'`. Reported as the source of cross-tab changes, unless `subscribe` passes one.
+ * @property {boolean} [external] - The value is owned outside the app, e.g. by the URL: hooks subscribe whatever their `notify` option is, values are only written when set, and a removed value resets to the initial one.
+ * @property {(value: any) => string} [serialize] - The default `serialize` of keys on this string-based adapter.
+ * @property {(text: string) => any} [deserialize] - The default `deserialize` of keys on this string-based adapter.
+ */
+
+// --- Web Storage ---
+
+/**
+ * Creates an adapter on top of a Web Storage area. Cross-tab notifications
+ * briefly write to the secondary storage area, which fires a `storage`
+ * event in other tabs.
+ * @param {() => Storage} getStorage - Returns the storage area to persist to.
+ * @param {() => Storage} getConduit - Returns the storage area used to notify other tabs.
+ * @param {object} [options]
+ * @param {boolean} [options.clearOnWriteError=false]
+ * @returns {StorageAdapter}
+ */
+export function createWebStorageAdapter (
+  getStorage,
+  getConduit,
+  { clearOnWriteError = false } = {}
+) {
+  return {
+    clearOnWriteError,
+    getStorage,
+    transport: 'storage-event',
+    get: storageKey => {
+      const value = getStorage().getItem(storageKey)
+      return value === null ? undefined : value
+    },
+    set: (storageKey, value) => getStorage().setItem(storageKey, value),
+    remove: storageKey => getStorage().removeItem(storageKey),
+    keys: prefix => {
+      const storage = getStorage()
+      const storageKeys = []
+      for (let i = 0; i < storage.length; i++) {
+        const storageKey = storage.key(i)
+        if (storageKey && storageKey.startsWith(prefix)) {
+          storageKeys.push(storageKey)
+        }
+      }
+      return storageKeys
+    },
+    publish: (storageKey, value) => {
+      const conduit = getConduit()
+      if (value !== undefined) {
+        conduit.setItem(storageKey, value)
+      }
+      conduit.removeItem(storageKey)
+    },
+    // Events of all keys arrive through the transport's single listener
+    subscribe: (storageKey, callback, transport) =>
+      transport.watchStorage(storageKey, event => {
+        // The conduit entry is removed right after it is written; that
+        // cleanup is not a value change.
+        if (event.storageArea === getConduit() && event.newValue !== null) {
+          callback(event.newValue)
+        }
+      })
+  }
+}
+
+// --- IndexedDB ---
+
+/**
+ * Creates an adapter on top of the IndexedDB wrapper. Cross-tab
+ * notifications are sent over the store's transport.
+ * @param {object} [options]
+ * @param {(baseKey: string) => string} [options.resolveKey]
+ * @returns {StorageAdapter}
+ */
+export function createIdbAdapter ({ resolveKey } = {}) {
+  return {
+    async: true,
+    structured: true,
+    resolveKey,
+    get: storageKey => idb.get(storageKey),
+    set: (storageKey, value) => idb.set(storageKey, value),
+    remove: storageKey => idb.del(storageKey),
+    // Only the keys of this adapter's namespace match the resolved prefix
+    keys: async prefix => {
+      const storagePrefix = resolveKey ? resolveKey(prefix) : prefix
+      const storageKeys = await idb.keys(storagePrefix)
+      return storageKeys.map(
+        storageKey => prefix + storageKey.slice(storagePrefix.length)
+      )
+    },
+    publish: (storageKey, value, transport) =>
+      transport.publish(storageKey, value),
+    subscribe: (storageKey, callback, transport) =>
+      transport.subscribe(storageKey, callback)
+  }
+}
+
+// --- In-Memory ---
+
+/**
+ * Creates an adapter that keeps values in a Map. Useful in tests and as a
+ * reference implementation. Subscribers of the same adapter instance are
+ * notified of each other's writes, standing in for other tabs.
+ * @param {Map<string, any>} [map=new Map()]
+ * @returns {StorageAdapter}
+ */
+export function createMemoryAdapter (map = new Map()) {
+  const listeners = new Map()
+
+  return {
+    structured: true,
+    get: storageKey => map.get(storageKey),
+    set: (storageKey, value) => {
+      map.set(storageKey, value)
+    },
+    remove: storageKey => {
+      map.delete(storageKey)
+    },
+    keys: prefix =>
+      [...map.keys()].filter(storageKey => storageKey.startsWith(prefix)),
+    publish: (storageKey, value) => {
+      const callbacks = listeners.get(storageKey)
+      if (callbacks) {
+        for (const callback of [...callbacks]) callback(value)
+      }
+    },
+    subscribe: (storageKey, callback) => {
+      if (!listeners.has(storageKey)) listeners.set(storageKey, new Set())
+      listeners.get(storageKey).add(callback)
+      return () => listeners.get(storageKey).delete(callback)
+    }
+  }
+}
+
+// --- Built-in Targets ---
+
+// Marks IndexedDB keys that belong to a single tab
+export const SESSIONDB_PREFIX = '__sessiondb__:'
+
+const builtInAdapters = {
+  local: createWebStorageAdapter(
+    () => localStorage,
+    () => sessionStorage
+  ),
+  session: createWebStorageAdapter(
+    () => sessionStorage,
+    () => localStorage,
+    { clearOnWriteError: true }
+  ),
+  localdb: createIdbAdapter(),
+  // Namespaced with the tab fingerprint to sandbox it from other tabs
+  sessiondb: createIdbAdapter({
+    resolveKey: baseKey => `${SESSIONDB_PREFIX}${getTabSessionId()}:${baseKey}`
+  }),
+  // Keys with a `cookie` option get an adapter with their attributes
+  cookie: createCookieAdapter(),
+  // Keys get an adapter of their param
+  url: createUrlAdapter()
+}
+
+/**
+ * Maps the `persist` option to an adapter.
+ * @param {string | StorageAdapter} [persist]
+ * @param {(error: import('./errors').AdvancedStateError) => void} [onError] - Reports an unknown target. Defaults to console logging.
+ * @returns {StorageAdapter | null}
+ */
+export function resolveAdapter (persist, onError = logError) {
+  if (!persist) return null
+  if (typeof persist === 'object') return persist
+  const adapter = builtInAdapters[persist]
+  if (!adapter) {
+    onError(
+      createAdvancedStateError(
+        'INVALID_CONFIG',
+        `Unknown persistence target "${persist}"`
+      )
+    )
+    return null
+  }
+  return adapter
+}
@@ -0,0 +1,1135 @@
+// src/store.js
+
+import { resolveAdapter } from './storage-adapters'
+import { createCookieAdapter } from './cookies'
+import { createUrlAdapter } from './url-state'
+import { encodeValue, readStoredValue, isValidationError } from './codec'
+import {
+  getScope,
+  getScopeStorageKey,
+  getScopeOfStorageKey
+} from './scoping'
+import { HISTORY_SUFFIX, getHistoryStorageKey } from './history'
+import { getBrowserLocation } from './location'
+import {
+  getWriteClock,
+  tick,
+  adoptClock,
+  resolveRemoteWrite,
+  validateConflictStrategy
+} from './conflicts'
+import { withLock } from './locks'
+import { createTransport } from './transport'
+import { createTimestampedAdapter, isSweptByAge } from './garbage-collector'
+import { createKeyCache, createEncryptedAdapter } from './encryption'
+import {
+  resolveCompressionConfig,
+  createCompressedAdapter
+} from './compression'
+import {
+  resolveQuotaConfig,
+  isQuotaExceededError,
+  createQuotaAwareAdapter
+} from './quota'
+import {
+  createAdvancedStateError,
+  getReadErrorCode,
+  getWriteErrorCode,
+  logError
+} from './errors'
+import { settle } from './utils'
+
+// --- Internal Pub/Sub Store ---
+
+// Adds a callback to the set of `id` and returns a function removing it
+function addWatcher (watchers, id, callback) {
+  if (!watchers.has(id)) watchers.set(id, new Set())
+  watchers.get(id).add(callback)
+  return () => {
+    const callbacks = watchers.get(id)
+    if (!callbacks) return
+    callbacks.delete(callback)
+    if (callbacks.size === 0) watchers.delete(id)
+  }
+}
+
+// Calls the callbacks of `id`, returning whether there were any
+function notifyWatchers (watchers, id, ...args) {
+  const callbacks = watchers.get(id)
+  if (!callbacks) return false
+  for (const callback of [...callbacks]) callback(...args)
+  return true
+}
+
+/**
+ * Creates a centralized, framework-agnostic store to hold state
+ * and manage subscriber notifications outside of React's render cycle.
+ * Subscribers are kept per key, so a change only reaches the hooks that
+ * read that key. The store also holds the key configuration (`prefix` and
+ * `defaults`), so hooks and the imperative API resolve keys the same way,
+ * and the cross-tab transport all of them share.
+ * @param {object} [config]
+ * @param {string} [config.prefix='advState']
+ * @param {Array<object>} [config.defaults=[]]
+ * @param {string} [config.channel='adv_state_channel'] - The cross-tab channel name.
+ * @param {import('./encryption').EncryptionKeyProvider} [config.encryptionKey] - The key of values with `encrypt`.
+ * @param {boolean | import('./quota').QuotaConfig} [config.quota] - The policy for writes that exceed the Web Storage quota.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [config.onError] - Receives the errors of all keys. Defaults to console logging.
+ */
+export function createStore ({
+  prefix = 'advState',
+  defaults = [],
+  channel,
+  encryptionKey,
+  quota,
+  onError
+} = {}) {
+  const subscribers = new Map()
+  const stateValues = new Map()
+  // Keys whose value came from storage or a set, rather than a default
+  const hydratedKeys = new Set()
+  // Pending writes ({ timeoutId, write }), per storage key
+  const pendingWrites = new Map()
+  // Hooks to update when the store API changes their storage key, or their
+  // key: API writes to keys that aren't persisted, and DevTools time travel
+  const storageWatchers = new Map()
+  const keyWatchers = new Map()
+  // Hooks that report the errors of adapter wrappers, which only know the
+  // storage key, per storage key
+  const storageErrorReporters = new Map()
+  // Keys whose value came from the server, until the provider hydrated
+  const serverKeys = new Set()
+  // Listeners for every change of any key, e.g. the DevTools bridge
+  const observers = new Set()
+  const keyCache = createKeyCache()
+  // Encrypting and compressing wrappers, per adapter and variant
+  const wrappedAdapters = new WeakMap()
+  // Sizes of compressed keys' last written or loaded values
+  const storedSizes = new Map()
+  // Configuration errors already reported, by key and message
+  const reportedConfigErrors = new Set()
+  // Last reads and writes of Web Storage keys, for quota eviction
+  const accessLog = new Map()
+  // The location of a provider's `useLocation`, instead of the browser's
+  let sourceLocation = null
+
+  const wrapAdapter = (adapter, variant, create) => {
+    if (!wrappedAdapters.has(adapter)) wrappedAdapters.set(adapter, new Map())
+    const variants = wrappedAdapters.get(adapter)
+    if (!variants.has(variant)) variants.set(variant, create())
+    return variants.get(variant)
+  }
+
+  const notify = key => {
+    const callbacks = subscribers.get(key)
+    if (!callbacks) return
+    for (const callback of [...callbacks]) {
+      callback(stateValues.get(key))
+    }
+  }
+
+  const report = (type, key, prev, next, meta = {}) => {
+    for (const observer of [...observers]) {
+      observer({
+        type,
+        key,
+        prev,
+        next,
+        source: meta.source || 'set',
+        scope: meta.scope === undefined ? null : meta.scope
+      })
+    }
+  }
+
+  const store = {
+    prefix,
+    defaultsMap: new Map(),
+    transport: createTransport({
+      channel,
+      onError: error => store.reportError(error)
+    }),
+    // The quota policy, read on every write that exceeds the quota
+    quota,
+    // The handler of all keys' errors, read on every error
+    onError,
+    // The provider's garbage collector config, read on every Web Storage
+    // write
+    gc: undefined,
+    // Applies a prefix, key defaults, a channel name and an encryption key.
+    // Default values are pre-warmed into the store.
+    configure: config => {
+      const defaultsMap = new Map()
+      for (const item of config.defaults || []) {
+        if (item.key) {
+          defaultsMap.set(item.key, item)
+          if (item.initial !== undefined) {
+            store.initState(item.key, item.initial)
+          }
+        }
+      }
+      store.prefix = config.prefix || 'advState'
+      store.defaultsMap = defaultsMap
+      store.transport.setChannel(config.channel)
+      keyCache.setProvider(config.encryptionKey)
+    },
+    // Resolves the adapter of a key's options. Cookies get the key's
+    // `cookie` attributes, URL keys the param and history mode of their
+    // `url` option. Web Storage adapters apply the quota policy. Keys with
+    // `encrypt` get an encrypting wrapper, which is asynchronous for every
+    // target. Keys with `compress` get a compressing wrapper on top, so
+    // payloads are compressed before they are encrypted.
+    getAdapter: config => {
+      // Keys whose scope is missing under `missingScope: 'disable'` are not
+      // persisted
+      if (store.getScope(config) === false) return null
+      let adapter = resolveAdapter(config.persist, error => {
+        error.key = config.key
+        store.reportConfigError(error)
+      })
+      if (!adapter) return adapter
+      if (config.persist === 'cookie' && config.cookie) {
+        const cookie = config.cookie
+        adapter = wrapAdapter(
+          adapter,
+          `cookie:${JSON.stringify(cookie)}`,
+          () => createCookieAdapter(cookie)
+        )
+      }
+      if (config.persist === 'url' && (config.url || config.key)) {
+        const { param = config.key, history = 'replace' } = config.url || {}
+        adapter = wrapAdapter(
+          adapter,
+          `url:${JSON.stringify({ param, history })}`,
+          () => createUrlAdapter({ param, history })
+        )
+      }
+      if (adapter.getStorage) {
+        const quotaAware = adapter
+        const priority = config.priority || 0
+        adapter = wrapAdapter(quotaAware, `quota:${priority}`, () =>
+          createQuotaAwareAdapter(quotaAware, {
+            target: typeof config.persist === 'string' ? config.persist : null,
+            priority,
+            accessLog,
+            getPrefix: () => store.prefix,
+            getPolicy: () => resolveQuotaConfig(store.quota),
+            onError: store.reportStorageError,
+            hasErrorHandler: () => !!store.onError
+          })
+        )
+        // Sweeping by age, and evicting keys this tab has not touched since
+        // a reload, need the write time of plain values, too
+        const target = config.persist
+        if (target === 'local' || target === 'session') {
+          const sweepable = adapter
+          adapter = wrapAdapter(sweepable, 'timestamp', () =>
+            createTimestampedAdapter(sweepable, () => {
+              const policy = resolveQuotaConfig(store.quota)
+              if (policy && policy.evict) return true
+              return isSweptByAge(store.gc, target)
+            })
+          )
+        }
+      }
+      if (config.encrypt) {
+        const encrypted = adapter
+        adapter = wrapAdapter(encrypted, 'encrypt', () =>
+          createEncryptedAdapter(
+            encrypted,
+            keyCache.getKey,
+            store.reportStorageError
+          )
+        )
+      }
+      const compression = resolveCompressionConfig(config.compress)
+      if (compression) {
+        const compressed = adapter
+        adapter = wrapAdapter(
+          compressed,
+          `compress:${compression.threshold}`,
+          () =>
+            createCompressedAdapter(compressed, compression, {
+              onSize: store.setSize,
+              onError: store.reportStorageError
+            })
+        )
+      }
+      return adapter
+    },
+    // Records the size of a compressed key's value, or forgets it for null
+    setSize: (storageKey, size) => {
+      if (size) {
+        storedSizes.set(storageKey, size)
+      } else {
+        storedSizes.delete(storageKey)
+      }
+    },
+    getSize: storageKey => storedSizes.get(storageKey) || null,
+    // Delivers an error to the quota policy's `onQuotaExceeded` (for
+    // writes it could not make room for), the key's `onError` and the
+    // store's `onError`. Errors nobody handles are logged to the console.
+    reportError: (error, onKeyError) => {
+      let isHandled = false
+      const policy = resolveQuotaConfig(store.quota)
+      if (
+        error.code === 'QUOTA_EXCEEDED' &&
+        policy &&
+        policy.onQuotaExceeded
+      ) {
+        policy.onQuotaExceeded({
+          key: error.key,
+          storageKey: error.storageKey,
+          size: error.size,
+          error: error.cause
+        })
+        isHandled = true
+      }
+      for (const handler of [onKeyError, store.onError]) {
+        if (!handler) continue
+        handler(error)
+        isHandled = true
+      }
+      if (!isHandled) logError(error)
+    },
+    // Reports an invalid option once, as options are resolved again on
+    // every render and API call. Options are resolved during render, before
+    // the provider hands its `onError` to the store, so the report waits
+    // for the render to commit.
+    reportConfigError: error => {
+      const id = `${error.key}:${error.message}`
+      if (reportedConfigErrors.has(id)) return
+      reportedConfigErrors.add(id)
+      Promise.resolve().then(() => store.reportError(error))
+    },
+    // Lets a hook report the errors of its storage key: with its key, to
+    // its own `onError` and as its `meta.error`
+    handleStorageErrors: (storageKey, reporter) => {
+      if (!storageErrorReporters.has(storageKey)) {
+        storageErrorReporters.set(storageKey, new Set())
+      }
+      storageErrorReporters.get(storageKey).add(reporter)
+      return () => {
+        const reporters = storageErrorReporters.get(storageKey)
+        if (!reporters) return
+        reporters.delete(reporter)
+        if (reporters.size === 0) storageErrorReporters.delete(storageKey)
+      }
+    },
+    // Reports an error of an adapter wrapper through the hooks of its
+    // storage key. The first hook reports it to the handlers, the others
+    // only show it. Without a hook, it goes to the provider's handler.
+    reportStorageError: error => {
+      const reporters = storageErrorReporters.get(error.storageKey)
+      if (error.key !== undefined || !reporters) {
+        store.reportError(error)
+        return
+      }
+      let isReported = false
+      for (const reporter of [...reporters]) {
+        reporter(error, { isReported })
+        isReported = true
+      }
+    },
+    subscribe: (key, callback) => {
+      if (!subscribers.has(key)) subscribers.set(key, new Set())
+      subscribers.get(key).add(callback)
+      return () => {
+        const callbacks = subscribers.get(key)
+        if (!callbacks) return
+        callbacks.delete(callback)
+        if (callbacks.size === 0) subscribers.delete(key)
+      }
+    },
+    // `meta` describes the change for observers: its `source` ('set',
+    // 'api', 'load', or the cross-tab transport) and the key's `scope`.
+    setState: (key, value, meta) => {
+      hydratedKeys.add(key)
+      const prev = stateValues.get(key)
+      if (stateValues.has(key) && Object.is(prev, value)) {
+        return
+      }
+      stateValues.set(key, value)
+      notify(key)
+      report('setState', key, prev, value, meta)
+    },
+    setSilent: (key, value, meta) => {
+      hydratedKeys.add(key)
+      const prev = stateValues.get(key)
+      stateValues.set(key, value)
+      report('setSilent', key, prev, value, meta)
+    },
+    getState: key => stateValues.get(key),
+    // Adopts the values a server rendered with (`initialState`). Until
+    // `endHydration`, hooks render them instead of persisted values.
+    setServerState: state => {
+      for (const key of Object.keys(state)) {
+        stateValues.set(key, state[key])
+        serverKeys.add(key)
+      }
+    },
+    hasServerValue: key => serverKeys.has(key),
+    // Returns the keys that had a server value
+    endHydration: () => {
+      const keys = [...serverKeys]
+      serverKeys.clear()
+      return keys
+    },
+    // Returns the values of all keys as a plain object
+    getSnapshot: () => Object.fromEntries(stateValues),
+    // Replaces all values with a snapshot and notifies the subscribers of
+    // changed keys, without reporting to observers or writing to storage.
+    restore: snapshot => {
+      const keys = new Set([...stateValues.keys(), ...Object.keys(snapshot)])
+      for (const key of keys) {
+        const value = snapshot[key]
+        if (Object.is(stateValues.get(key), value)) continue
+        if (value === undefined) {
+          stateValues.delete(key)
+        } else {
+          stateValues.set(key, value)
+        }
+        notify(key)
+        // Hooks that keep their own copy of the value
+        store.notifyKey(key, value, { isRestored: true })
+      }
+    },
+    observe: observer => {
+      observers.add(observer)
+      return () => observers.delete(observer)
+    },
+    isHydrated: key => hydratedKeys.has(key),
+    initState: (key, value) => {
+      if (!stateValues.has(key)) {
+        stateValues.set(key, value)
+      }
+    },
+    // Adopts a value loaded from storage, unless the key already holds a
+    // loaded or set value (which may be newer than a debounced write).
+    hydrate: (key, value) => {
+      if (hydratedKeys.has(key)) return
+      hydratedKeys.add(key)
+      stateValues.set(key, value)
+    },
+    isWritePending: storageKey => pendingWrites.has(storageKey),
+    cancelWrite: storageKey => {
+      const pending = pendingWrites.get(storageKey)
+      if (!pending) return
+      clearTimeout(pending.timeoutId)
+      pendingWrites.delete(storageKey)
+    },
+    // Runs a pending write right away, e.g. before its scope is left.
+    // Returns the write's result, a promise for asynchronous targets.
+    flushWrite: storageKey => {
+      const pending = pendingWrites.get(storageKey)
+      if (!pending) return
+      store.cancelWrite(storageKey)
+      return pending.write()
+    },
+    watchStorage: (storageKey, callback) =>
+      addWatcher(storageWatchers, storageKey, callback),
+    // Delivers a value the store API wrote to a storage key, or `undefined`
+    // for a removed one, to the hooks of that key. Returns whether any
+    // hook received it.
+    notifyStorage: (storageKey, value) =>
+      notifyWatchers(storageWatchers, storageKey, value),
+    watchKey: (key, callback) => addWatcher(keyWatchers, key, callback),
+    // Delivers a value to every hook of a key, or `undefined` for a removed
+    // one. `meta.isRestored` marks values the store already holds.
+    notifyKey: (key, value, meta = {}) =>
+      notifyWatchers(keyWatchers, key, value, meta),
+    // Runs a write after `delay` ms. A later write to the same storage key
+    // replaces a pending one, whether it comes from a hook or the API.
+    scheduleWrite: (storageKey, delay, write) => {
+      store.cancelWrite(storageKey)
+      if (delay > 0) {
+        const timeoutId = setTimeout(() => {
+          pendingWrites.delete(storageKey)
+          write()
+        }, delay)
+        pendingWrites.set(storageKey, { timeoutId, write })
+      } else {
+        write()
+      }
+    },
+    // The location URL scopes are resolved from
+    getLocation: () => sourceLocation || getBrowserLocation(),
+    // Resolves the current URL scope of a key's options
+    getScope: config =>
+      getScope(config, store.getLocation(), store.scopeContext),
+    // The provider's `scopeContext`, passed to `scopeBy`
+    scopeContext: {},
+    // Replaces the browser's location, e.g. with a router's. `null` goes
+    // back to the browser's.
+    setLocation: location => {
+      sourceLocation = location
+    }
+  }
+
+  store.configure({ prefix, defaults, channel, encryptionKey })
+  return store
+}
+
+// --- Storage Access ---
+
+/**
+ * Writes a value to storage (removing it for `undefined`) and announces the
+ * write to other tabs if the key syncs across tabs.
+ * @param {object} params
+ * @param {string} params.key
+ * @param {import('./storage-adapters').StorageAdapter} params.adapter
+ * @param {string} params.storageKey
+ * @param {any} params.value
+ * @param {string} [params.notify] - The key's sync strategy.
+ * @param {import('./transport').Transport} [params.transport] - The store's transport, for cross-tab sync.
+ * @param {import('./codec').CodecOptions} [params.options]
+ * @param {any} [params.persist] - The key's target, named in errors.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [params.onError] - Reports failed writes. Defaults to console logging.
+ * @returns {Promise<boolean>} Resolves once written, with whether the write succeeded.
+ */
+export function writeToStorage ({
+  key,
+  adapter,
+  storageKey,
+  value,
+  notify,
+  transport,
+  options,
+  persist,
+  onError = logError
+}) {
+  // Keys with conflict resolution carry the logical clock of the change
+  const clock =
+    options && options.resolveConflict ? getWriteClock(storageKey) : undefined
+  const valueToStore =
+    value === undefined
+      ? undefined
+      : encodeValue(adapter, value, { ...options, clock })
+
+  return new Promise(resolve =>
+    settle(
+      () =>
+        valueToStore === undefined
+          ? adapter.remove(storageKey)
+          : adapter.set(storageKey, valueToStore),
+      () => {
+        if (
+          adapter.publish &&
+          (notify === 'cross-tab' || notify === 'cross-component-and-tab')
+        ) {
+          adapter.publish(storageKey, valueToStore, transport)
+        }
+        resolve(true)
+      },
+      e => {
+        const details = { key, storageKey, persist, cause: e, size: e.size }
+        const code = isQuotaExceededError(e)
+          ? 'QUOTA_EXCEEDED'
+          : getWriteErrorCode(persist)
+        onError(
+          createAdvancedStateError(
+            code,
+            `Failed to save value for ${key}`,
+            details
+          )
+        )
+        if (adapter.clearOnWriteError) {
+          settle(
+            () => adapter.remove(storageKey),
+            // Reported under the code of the failed write
+            () =>
+              onError(
+                createAdvancedStateError(
+                  code,
+                  `Cleared stale session data for ${key} due to quota limits`,
+                  { ...details, cause: undefined }
+                )
+              ),
+            cleanupError =>
+              onError(
+                createAdvancedStateError(
+                  getWriteErrorCode(persist),
+                  `Failed to clean up stale data of ${key}`,
+                  { ...details, cause: cleanupError, size: undefined }
+                )
+              )
+          )
+        }
+        resolve(false)
+      }
+    )
+  )
+}
+
+/**
+ * Runs a read-modify-write under a per-storage-key lock shared by all tabs.
+ * The updater receives the persisted value (falling back to the local
+ * value), and the result is written before the lock is released.
+ * @param {object} params
+ * @param {object} params.store
+ * @param {string} params.key
+ * @param {import('./storage-adapters').StorageAdapter} params.adapter
+ * @param {string} params.storageKey
+ * @param {any} params.valueOrFn - A value, or an updater `(prev) => next`.
+ * @param {string} [params.notify]
+ * @param {any} [params.persist] - The key's target, named in errors.
+ * @param {object} params.options - The key's codec options.
+ * @param {() => any} params.getLocalValue
+ * @param {(value: any) => void} params.applyValue - Applies the new value locally.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [params.onError] - Reports failed reads and writes. Defaults to the store's `reportError`.
+ * @returns {Promise<any>} Resolves with the committed value.
+ */
+export function updateAtomically ({
+  store,
+  key,
+  adapter,
+  storageKey,
+  valueOrFn,
+  notify,
+  persist,
+  options,
+  getLocalValue,
+  applyValue,
+  onError = error => store.reportError(error)
+}) {
+  return withLock(storageKey, async () => {
+    // The atomic write supersedes debounced writes of older values
+    store.cancelWrite(storageKey)
+
+    let prevValue = getLocalValue()
+    try {
+      const record = readStoredValue(
+        adapter,
+        await adapter.get(storageKey),
+        options
+      )
+      if (record && !record.expired) prevValue = record.value
+    } catch (e) {
+      onError(
+        createAdvancedStateError(
+          getReadErrorCode(persist),
+          `Failed to read ${key} for an atomic update, using the local value`,
+          { key, storageKey, persist, cause: e }
+        )
+      )
+    }
+
+    const newValue =
+      typeof valueOrFn === 'function' ? valueOrFn(prevValue) : valueOrFn
+    applyValue(newValue)
+    if (options.resolveConflict) tick(storageKey)
+    await writeToStorage({
+      key,
+      adapter,
+      storageKey,
+      value: newValue,
+      notify,
+      transport: store.transport,
+      options,
+      persist,
+      onError
+    })
+    return newValue
+  })
+}
+
+/**
+ * Loads the persisted value of a key into the store, unless a hook or a
+ * write already did. Synchronous targets are read immediately (silently, as
+ * this may run during render); asynchronous targets notify the store's
+ * subscribers once loaded. Keys with a server value are loaded once the
+ * provider hydrated.
+ * @param {object} store
+ * @param {string} key
+ * @param {object} [config] - The key's options, usually its `defaults` entry.
+ * @param {object} [options]
+ * @param {boolean} [options.notify=false] - Notifies subscribers of values from synchronous targets as well.
+ * @returns {() => void} Cancels a pending asynchronous load.
+ */
+export function loadIntoStore (store, key, config, { notify = false } = {}) {
+  const noop = () => {}
+  if (!config || typeof window === 'undefined') return noop
+  if (store.isHydrated(key) || store.hasServerValue(key)) return noop
+
+  const adapter = store.getAdapter(config)
+  if (!adapter) return noop
+
+  const storageKey = getScopeStorageKey(
+    adapter,
+    store.prefix,
+    store.getScope(config),
+    key
+  )
+
+  // Moved values load asynchronously, also from a synchronous adapter
+  const isAsyncRead =
+    !!adapter.async || !!(adapter.isAsyncKey && adapter.isAsyncKey(storageKey))
+
+  let isCancelled = false
+  settle(
+    () => adapter.get(storageKey),
+    storedValue => {
+      const record = readStoredValue(adapter, storedValue, config)
+      if (isCancelled || !record || record.expired) return
+      if (store.isHydrated(key)) return
+
+      adoptClock(storageKey, record.clock)
+      if (!isAsyncRead && !notify) {
+        store.hydrate(key, record.value)
+      } else {
+        store.setState(key, record.value, {
+          source: 'load',
+          scope: store.getScope(config)
+        })
+      }
+    },
+    // Invalid or unreadable values are reported (and replaced) by
+    // useAdvancedState
+    noop
+  )
+  return () => {
+    isCancelled = true
+  }
+}
+
+// --- Server-Side Rendering ---
+
+/**
+ * Returns the values of a store, e.g. after rendering it on the server, to
+ * embed them in the page and pass them to the provider's `initialState`.
+ * @param {AdvancedStore} api - A store from `createAdvancedStore`.
+ * @returns {Object<string, any>}
+ */
+export function dehydrate (api) {
+  return getStoreOfApi(api).getSnapshot()
+}
+
+/**
+ * Ends the hydration of a store: keys rendered with a server value load
+ * their persisted value, which replaces it.
+ * @param {object} store
+ */
+export function reconcileServerState (store) {
+  for (const key of store.endHydration()) {
+    const config = store.defaultsMap.get(key)
+    if (config) loadIntoStore(store, key, config, { notify: true })
+  }
+}
+
+// --- Imperative API ---
+
+/**
+ * @typedef {object} AdvancedStore
+ * @property {(key: string) => any} getState - Returns the current value of a key.
+ * @property {(key: string, value: any, options?: object) => void | Promise<any>} setState - Sets a value, or updates it with a function `(prev) => next`. Returns a promise for keys with `atomic`.
+ * @property {(key: string, callback: (value: any) => void, options?: object) => () => void} subscribe - Calls `callback` with every new value. Returns an unsubscribe function.
+ * @property {(key: string, options?: object) => Promise<Array<string>>} listScopes - Lists the scopes a key has a stored value in.
+ * @property {(key: string, from: string, to: string, options?: object) => Promise<boolean>} copyScope - Copies a key's stored value (and undo history) to another scope. Resolves with whether there was a value to copy.
+ * @property {(key: string, from: string, to: string, options?: object) => Promise<boolean>} moveScope - Like `copyScope`, and removes the value from `from`.
+ * @property {(scope: string) => Promise<boolean>} clearScope - Removes the stored values of all keys in a scope. Resolves with whether every target was cleared.
+ */
+
+const apis = new WeakMap()
+const storesByApi = new WeakMap()
+
+// The targets `clearScope` clears, along with the custom adapters of keys
+const BUILT_IN_TARGETS = [
+  'local',
+  'session',
+  'localdb',
+  'sessiondb',
+  'cookie'
+]
+
+/**
+ * Returns the imperative API of a store, creating it once per store.
+ * @param {object} store
+ * @returns {AdvancedStore}
+ */
+export function getStoreApi (store) {
+  if (apis.has(store)) return apis.get(store)
+
+  // Keys are configured through `defaults`; per-call options override them
+  const getConfig = (key, options) => {
+    const config = {
+      key,
+      ...(store.defaultsMap.get(key) || {}),
+      ...options
+    }
+    const error = validateConflictStrategy(key, config.resolveConflict)
+    if (error) store.reportConfigError(error)
+    return config
+  }
+
+  const getStorageKey = (adapter, key, config) =>
+    getScopeStorageKey(adapter, store.prefix, store.getScope(config), key)
+
+  const reportRejectedValue = (key, storageKey, config, error) => {
+    const isInvalid = isValidationError(error)
+    if (isInvalid && config.onValidationError) {
+      config.onValidationError(error, { key, storageKey, value: error.value })
+      return
+    }
+    store.reportError(
+      createAdvancedStateError(
+        isInvalid ? 'VALIDATION_FAILED' : 'PARSE_FAILED',
+        isInvalid
+          ? `Discarded invalid value for ${key}`
+          : `Failed to parse stored value for ${key}`,
+        { key, storageKey, persist: config.persist, cause: error }
+      ),
+      config.onError
+    )
+  }
+
+  // Applies a value to the store and every mounted hook of the key
+  const applyValue = (key, config, adapter, newValue, source) => {
+    // Updates hooks that share the key across components, then the hooks
+    // that keep their own copy of the value
+    store.setState(key, newValue, {
+      source,
+      scope: store.getScope(config)
+    })
+    const storageKey = adapter && getStorageKey(adapter, key, config)
+    if (storageKey) {
+      store.notifyStorage(storageKey, newValue)
+    } else {
+      store.notifyKey(key, newValue)
+    }
+    return storageKey
+  }
+
+  // Applies a value, and writes it like the hook's setter does
+  const commit = (key, config, newValue, source) => {
+    const adapter = store.getAdapter(config)
+    const storageKey = applyValue(key, config, adapter, newValue, source)
+
+    if (!adapter || typeof window === 'undefined') return
+    if (config.resolveConflict) tick(storageKey)
+    store.scheduleWrite(storageKey, config.debounce || 0, () =>
+      writeToStorage({
+        key,
+        adapter,
+        storageKey,
+        value: newValue,
+        notify: config.notify,
+        transport: store.transport,
+        options: config,
+        persist: config.persist,
+        onError: error => store.reportError(error, config.onError)
+      })
+    )
+  }
+
+  // --- Scope Management ---
+
+  // Scope management reaches the stored values of every scope, not only
+  // the one of the current location
+  const getTargetAdapter = config =>
+    store.getAdapter({
+      persist: config.persist,
+      encrypt: config.encrypt,
+      compress: config.compress,
+      priority: config.priority,
+      cookie: config.cookie,
+      key: config.key,
+      url: config.url
+    })
+
+  const readScopeValue = (key, storageKey, config, adapter, storedValue) => {
+    try {
+      const record = readStoredValue(adapter, storedValue, config)
+      return record && !record.expired ? record.value : undefined
+    } catch (e) {
+      reportRejectedValue(key, storageKey, config, e)
+      return undefined
+    }
+  }
+
+  // Applies the new value of a scope, `undefined` for a removed one.
+  // Mounted hooks of the storage key apply it themselves; otherwise the
+  // store adopts it if the scope is the current one.
+  const applyScopeValue = (key, config, scope, storageKey, value) => {
+    if (store.notifyStorage(storageKey, value)) return
+    if (store.getScope(config) !== scope) return
+    store.setState(key, value === undefined ? config.initial : value, {
+      source: 'api',
+      scope
+    })
+  }
+
+  const transferScope = async (key, from, to, options, isMove) => {
+    const config = getConfig(key, options)
+    const adapter = getTargetAdapter(config)
+    if (!adapter || typeof window === 'undefined') return false
+    if (from === to) return true
+
+    const fromKey = getScopeStorageKey(adapter, store.prefix, from, key)
+    const toKey = getScopeStorageKey(adapter, store.prefix, to, key)
+    const fromHistoryKey = getHistoryStorageKey(fromKey)
+    const toHistoryKey = getHistoryStorageKey(toKey)
+    try {
+      // Edits still being debounced belong to the value that is copied;
+      // pending writes to the destination would overwrite it
+      await store.flushWrite(fromKey)
+      await store.flushWrite(fromHistoryKey)
+      store.cancelWrite(toKey)
+      store.cancelWrite(toHistoryKey)
+
+      const storedValue = await adapter.get(fromKey)
+      if (storedValue === undefined) return false
+      const storedHistory = await adapter.get(fromHistoryKey)
+
+      await adapter.set(toKey, storedValue)
+      // The destination's history belongs to the value it replaces
+      await (storedHistory === undefined
+        ? adapter.remove(toHistoryKey)
+        : adapter.set(toHistoryKey, storedHistory))
+      if (isMove) {
+        await adapter.remove(fromKey)
+        await adapter.remove(fromHistoryKey)
+      }
+
+      if (
+        adapter.publish &&
+        (config.notify === 'cross-tab' ||
+          config.notify === 'cross-component-and-tab')
+      ) {
+        adapter.publish(toKey, storedValue, store.transport)
+        if (isMove) adapter.publish(fromKey, undefined, store.transport)
+      }
+      const value = readScopeValue(key, toKey, config, adapter, storedValue)
+      applyScopeValue(key, config, to, toKey, value)
+      if (isMove) applyScopeValue(key, config, from, fromKey, undefined)
+      return true
+    } catch (e) {
+      store.reportError(
+        createAdvancedStateError(
+          getWriteErrorCode(config.persist),
+          `Failed to ${isMove ? 'move' : 'copy'} ${key} from scope ${from} to ${to}`,
+          { key, storageKey: fromKey, persist: config.persist, cause: e }
+        ),
+        config.onError
+      )
+      return false
+    }
+  }
+
+  const api = {
+    getState: key => {
+      const config = getConfig(key)
+      const adapter = store.getAdapter(config)
+      if (adapter && !adapter.async) loadIntoStore(store, key, config)
+      return store.getState(key)
+    },
+
+    setState: (key, valueOrFn, options) => {
+      const config = getConfig(key, options)
+      const adapter = store.getAdapter(config)
+
+      if (config.atomic && adapter && typeof window !== 'undefined') {
+        return updateAtomically({
+          store,
+          key,
+          adapter,
+          storageKey: getStorageKey(adapter, key, config),
+          valueOrFn,
+          notify: config.notify,
+          persist: config.persist,
+          options: config,
+          getLocalValue: () => store.getState(key),
+          applyValue: newValue =>
+            applyValue(key, config, adapter, newValue, 'api'),
+          onError: error => store.reportError(error, config.onError)
+        })
+      }
+
+      // Functional updates start from the persisted value
+      if (adapter && !adapter.async) loadIntoStore(store, key, config)
+
+      const prevValue = store.getState(key)
+      const newValue =
+        typeof valueOrFn === 'function' ? valueOrFn(prevValue) : valueOrFn
+      if (Object.is(prevValue, newValue)) return
+
+      commit(key, config, newValue, 'api')
+    },
+
+    subscribe: (key, callback, options) => {
+      const config = getConfig(key, options)
+      const unsubscribeFromStore = store.subscribe(key, callback)
+      const cancelLoad = loadIntoStore(store, key, config)
+
+      let unsubscribeFromTabs = () => {}
+      const adapter = store.getAdapter(config)
+      if (
+        (config.notify === 'cross-tab' ||
+          config.notify === 'cross-component-and-tab') &&
+        adapter &&
+        adapter.subscribe &&
+        typeof window !== 'undefined'
+      ) {
+        const storageKey = getStorageKey(adapter, key, config)
+        const scope = store.getScope(config)
+        const handleRemoteWrite = (storedValue, via) => {
+          try {
+            const record = readStoredValue(adapter, storedValue, config)
+            if (record && record.expired) return
+            const remoteValue = record ? record.value : undefined
+
+            if (config.resolveConflict) {
+              const resolution = resolveRemoteWrite({
+                key,
+                storageKey,
+                strategy: config.resolveConflict,
+                localValue: store.getState(key),
+                remoteValue,
+                remoteClock: record ? record.clock : undefined,
+                hasPendingWrite: store.isWritePending(storageKey)
+              })
+              if (resolution.outcome === 'merged') {
+                commit(key, config, resolution.value, 'merge')
+                return
+              }
+              if (resolution.outcome === 'local') {
+                if (resolution.repair) {
+                  writeToStorage({
+                    key,
+                    adapter,
+                    storageKey,
+                    value: store.getState(key),
+                    notify: config.notify,
+                    transport: store.transport,
+                    options: config,
+                    persist: config.persist,
+                    onError: error => store.reportError(error, config.onError)
+                  })
+                }
+                return
+              }
+              if (resolution.cancelWrite) store.cancelWrite(storageKey)
+            }
+
+            store.setState(key, remoteValue, {
+              source: via || adapter.transport || 'cross-tab',
+              scope
+            })
+          } catch (e) {
+            reportRejectedValue(key, storageKey, config, e)
+          }
+        }
+        unsubscribeFromTabs = adapter.subscribe(
+          storageKey,
+          handleRemoteWrite,
+          store.transport
+        )
+      }
+
+      return () => {
+        unsubscribeFromStore()
+        cancelLoad()
+        unsubscribeFromTabs()
+      }
+    },
+
+    listScopes: async (key, options) => {
+      const config = getConfig(key, options)
+      const adapter = getTargetAdapter(config)
+      if (!adapter || !adapter.keys || typeof window === 'undefined') {
+        return []
+      }
+      try {
+        const scopes = new Set()
+        for (const baseKey of await adapter.keys(`${store.prefix}:`)) {
+          const scope = getScopeOfStorageKey(baseKey, store.prefix, key)
+          if (scope !== null) scopes.add(scope)
+        }
+        return [...scopes].sort()
+      } catch (e) {
+        store.reportError(
+          createAdvancedStateError(
+            getReadErrorCode(config.persist),
+            `Failed to list the scopes of ${key}`,
+            { key, persist: config.persist, cause: e }
+          ),
+          config.onError
+        )
+        return []
+      }
+    },
+
+    copyScope: (key, from, to, options) =>
+      transferScope(key, from, to, options, false),
+
+    moveScope: (key, from, to, options) =>
+      transferScope(key, from, to, options, true),
+
+    clearScope: async scope => {
+      if (typeof window === 'undefined') return false
+      const scopePrefix = `${store.prefix}:${scope}:`
+      const targets = new Set(BUILT_IN_TARGETS)
+      for (const config of store.defaultsMap.values()) {
+        if (config.persist && typeof config.persist === 'object') {
+          targets.add(config.persist)
+        }
+      }
+
+      let isCleared = true
+      for (const persist of targets) {
+        const adapter = store.getAdapter({ persist })
+        if (!adapter || !adapter.keys) continue
+        try {
+          for (const baseKey of await adapter.keys(scopePrefix)) {
+            const storageKey = adapter.resolveKey
+              ? adapter.resolveKey(baseKey)
+              : baseKey
+            store.cancelWrite(storageKey)
+            await adapter.remove(storageKey)
+
+            const key = baseKey.slice(scopePrefix.length)
+            if (key.endsWith(HISTORY_SUFFIX)) continue
+            applyScopeValue(key, getConfig(key), scope, storageKey, undefined)
+          }
+        } catch (e) {
+          isCleared = false
+          store.reportError(
+            createAdvancedStateError(
+              getWriteErrorCode(persist),
+              `Failed to clear scope ${scope}`,
+              { persist, cause: e }
+            )
+          )
+        }
+      }
+      return isCleared
+    }
+  }
+
+  apis.set(store, api)
+  storesByApi.set(api, store)
+  return api
+}
+
+/**
+ * Returns the internal store behind an API created by `getStoreApi`.
+ * @param {AdvancedStore} api
+ * @returns {object | undefined}
+ */
+export function getStoreOfApi (api) {
+  return storesByApi.get(api)
+}
+
+/**
+ * Creates a standalone store that can be read and written outside React,
+ * and shared with components by passing it to `<AdvancedStateProvider>`.
+ * @param {object} [config]
+ * @param {string} [config.prefix='advState'] - A custom prefix for all storage keys.
+ * @param {Array<object>} [config.defaults=[]] - Default configurations for keys.
+ * @param {string} [config.channel='adv_state_channel'] - The name of the cross-tab channel.
+ * @param {import('./encryption').EncryptionKeyProvider} [config.encryptionKey] - The AES-GCM key of keys with `encrypt`, or a function returning it.
+ * @param {boolean | import('./quota').QuotaConfig} [config.quota] - The policy for writes that exceed the Web Storage quota.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [config.onError] - Receives the errors of all keys. Defaults to console logging.
+ * @returns {AdvancedStore}
+ */
+export function createAdvancedStore (config) {
+  return getStoreApi(createStore(config))
+}
@@ -0,0 +1,227 @@
+// src/transport.js
+
+import { richSerializer } from './serializers'
+import { createAdvancedStateError, logError } from './errors'
+
+export const DEFAULT_CHANNEL = 'adv_state_channel'
+
+// Relays each message to every other tab connected to the SharedWorker
+const RELAY_SOURCE = `
+const ports = new Set()
+onconnect = event => {
+  const port = event.ports[0]
+  ports.add(port)
+  port.onmessage = ({ data }) => {
+    if (data === '__close__') return ports.delete(port)
+    for (const other of ports) if (other !== port) other.postMessage(data)
+  }
+}`
+
+// A data URL, so every tab connects to the same worker without a script
+// file. Tabs share a worker if both its URL and name match.
+const RELAY_URL = `data:text/javascript,${encodeURIComponent(RELAY_SOURCE)}`
+
+/**
+ * @typedef {'broadcast-channel' | 'shared-worker' | 'storage-event'} TransportKind
+ */
+
+/**
+ * The cross-tab hub of a store. All keys share one channel and one
+ * `storage` listener, and messages are dispatched by storage key. A tab
+ * never receives its own messages.
+ * @typedef {object} Transport
+ * @property {TransportKind} kind - The channel in use.
+ * @property {(storageKey: string, value: any) => void} publish - Sends a value to other tabs.
+ * @property {(storageKey: string, callback: (value: any, kind: TransportKind) => void) => () => void} subscribe - Receives values other tabs publish for a key.
+ * @property {(storageKey: string, callback: (event: StorageEvent) => void) => () => void} watchStorage - Receives `storage` events for a key.
+ * @property {(channel: string) => void} setChannel - Switches to another channel name, keeping all subscriptions.
+ * @property {() => void} close - Closes the channel. It reopens on the next use.
+ */
+
+/**
+ * Picks the best channel the browser supports.
+ * @returns {TransportKind}
+ */
+export function detectTransportKind () {
+  if (typeof BroadcastChannel === 'function') return 'broadcast-channel'
+  if (typeof SharedWorker === 'function') return 'shared-worker'
+  return 'storage-event'
+}
+
+function openBroadcastChannel (name, receive) {
+  const channel = new BroadcastChannel(name)
+  channel.onmessage = event => receive(event.data)
+  return channel
+}
+
+function openSharedWorker (name, receive) {
+  const { port } = new SharedWorker(RELAY_URL, { name })
+  port.onmessage = event => receive(event.data)
+  return {
+    postMessage: message => port.postMessage(message),
+    close: () => {
+      // Ports don't report closing, so the worker is told to drop it
+      port.postMessage('__close__')
+      port.close()
+    }
+  }
+}
+
+// Messages are written to a localStorage entry and removed right away,
+// which fires a `storage` event in other tabs. They are encoded with the
+// rich serializer, so structured values survive as far as possible.
+function openStorageConduit (conduitKey) {
+  return {
+    postMessage: message => {
+      localStorage.setItem(conduitKey, richSerializer.serialize(message))
+      localStorage.removeItem(conduitKey)
+    },
+    close: () => {}
+  }
+}
+
+/**
+ * Creates the cross-tab hub of a store. The channel opens on first use.
+ * @param {object} [config]
+ * @param {string} [config.channel='adv_state_channel'] - Only tabs using the same name hear each other.
+ * @param {TransportKind} [config.kind] - Forces a channel, instead of detecting the best one.
+ * @param {(error: import('./errors').AdvancedStateError) => void} [config.onError] - Reports messages that failed to send or arrive. Defaults to console logging.
+ * @returns {Transport}
+ */
+export function createTransport ({
+  channel = DEFAULT_CHANNEL,
+  kind,
+  onError = logError
+} = {}) {
+  const messageListeners = new Map()
+  const storageListeners = new Map()
+  let channelName = channel
+  let port = null
+  let isListeningToStorage = false
+
+  const transport = {
+    kind: kind || detectTransportKind()
+  }
+
+  const getConduitKey = () => `${channelName}:message`
+
+  const dispatch = (listeners, storageKey, ...args) => {
+    const callbacks = listeners.get(storageKey)
+    if (!callbacks) return
+    for (const callback of [...callbacks]) callback(...args)
+  }
+
+  const receive = message => {
+    if (message && typeof message.key === 'string') {
+      dispatch(messageListeners, message.key, message.value, transport.kind)
+    }
+  }
+
+  const handleStorageChange = event => {
+    if (transport.kind === 'storage-event' && event.key === getConduitKey()) {
+      if (event.newValue === null) return
+      try {
+        receive(richSerializer.deserialize(event.newValue))
+      } catch (e) {
+        onError(
+          createAdvancedStateError(
+            'SYNC_FAILED',
+            'Dropped an unreadable message',
+            { cause: e }
+          )
+        )
+      }
+      return
+    }
+    dispatch(storageListeners, event.key, event)
+  }
+
+  const listenToStorage = () => {
+    if (isListeningToStorage || typeof window === 'undefined') return
+    window.addEventListener('storage', handleStorageChange)
+    isListeningToStorage = true
+  }
+
+  const open = () => {
+    if (port || typeof window === 'undefined') return
+    if (transport.kind === 'broadcast-channel') {
+      port = openBroadcastChannel(channelName, receive)
+      return
+    }
+    if (transport.kind === 'shared-worker') {
+      try {
+        port = openSharedWorker(channelName, receive)
+        return
+      } catch (e) {
+        // E.g. a Content Security Policy that blocks data: workers
+        onError(
+          createAdvancedStateError(
+            'SYNC_FAILED',
+            'Could not start the SharedWorker relay, using storage events',
+            { cause: e }
+          )
+        )
+        transport.kind = 'storage-event'
+      }
+    }
+    port = openStorageConduit(getConduitKey())
+    listenToStorage()
+  }
+
+  const addListener = (listeners, storageKey, callback) => {
+    if (!listeners.has(storageKey)) listeners.set(storageKey, new Set())
+    listeners.get(storageKey).add(callback)
+    return () => {
+      const callbacks = listeners.get(storageKey)
+      if (!callbacks) return
+      callbacks.delete(callback)
+      if (callbacks.size === 0) listeners.delete(storageKey)
+    }
+  }
+
+  transport.publish = (storageKey, value) => {
+    open()
+    if (!port) return
+    try {
+      port.postMessage({ key: storageKey, value })
+    } catch (e) {
+      onError(
+        createAdvancedStateError(
+          'SYNC_FAILED',
+          `Failed to notify other tabs of ${storageKey}`,
+          { storageKey, cause: e }
+        )
+      )
+    }
+  }
+
+  transport.subscribe = (storageKey, callback) => {
+    open()
+    return addListener(messageListeners, storageKey, callback)
+  }
+
+  transport.watchStorage = (storageKey, callback) => {
+    listenToStorage()
+    return addListener(storageListeners, storageKey, callback)
+  }
+
+  transport.setChannel = (name = DEFAULT_CHANNEL) => {
+    if (name === channelName) return
+    const wasOpen = !!port
+    transport.close()
+    channelName = name
+    if (wasOpen || messageListeners.size > 0) open()
+    if (storageListeners.size > 0) listenToStorage()
+  }
+
+  transport.close = () => {
+    if (port) port.close()
+    port = null
+    if (isListeningToStorage) {
+      window.removeEventListener('storage', handleStorageChange)
+      isListeningToStorage = false
+    }
+  }
+
+  return transport
+}
@@ -0,0 +1,109 @@
+// src/url-state.js
+
+import { getBrowserLocation, subscribeToBrowserLocation } from './location'
+
+/**
+ * @typedef {object} UrlConfig
+ * @property {string} [param] - The query parameter that holds the value. Defaults to the key.
+ * @property {'replace' | 'push'} [history='replace'] - Whether writes replace the current history entry, or push one that back/forward returns to.
+ */
+
+// The params of `persist: 'url'` keys hold state. They are not a part of
+// the location that scopes other keys.
+const stateParams = new Set()
+
+// The value each subscriber last saw, by param. Writes update them before
+// they navigate, so subscribers don't report them back as navigation.
+const seenValues = new Map()
+
+/**
+ * Removes the params of `persist: 'url'` keys from a query string.
+ * @param {string} search - E.g. `'?appId=1&page=2'`.
+ * @returns {string} E.g. `'?appId=1'`.
+ */
+export function stripStateParams (search) {
+  const params = new URLSearchParams(search)
+  if (![...stateParams].some(param => params.has(param))) return search
+  for (const param of stateParams) params.delete(param)
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+function readParam (param) {
+  const location = getBrowserLocation()
+  if (!location) return undefined
+  const value = new URLSearchParams(location.search).get(param)
+  return value === null ? undefined : value
+}
+
+function writeParam (param, value, history) {
+  const { pathname, search, hash } = getBrowserLocation()
+  const params = new URLSearchParams(search)
+  if (params.get(param) === (value === undefined ? null : value)) return
+  if (value === undefined) {
+    params.delete(param)
+  } else {
+    params.set(param, value)
+  }
+  const query = params.toString()
+  const url = `${pathname}${query ? `?${query}` : ''}${hash || ''}`
+
+  for (const seen of seenValues.get(param) || []) seen.value = value
+  // Routers keep their own data in the history state
+  const method = history === 'push' ? 'pushState' : 'replaceState'
+  window.history[method](window.history.state, '', url)
+}
+
+function isJson (text) {
+  try {
+    JSON.parse(text)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Creates an adapter that stores values in a query parameter of the URL,
+ * so links share them and back/forward restores them. Strings are stored
+ * as-is (`?tab=open`), other values as JSON (`?page=2`). Values follow
+ * every navigation, whatever the key's `notify` option is.
+ * @param {UrlConfig} [config]
+ * @returns {import('./storage-adapters').StorageAdapter}
+ */
+export function createUrlAdapter ({ param, history = 'replace' } = {}) {
+  if (param) stateParams.add(param)
+  // The built-in adapter is named after the storage key
+  const getParam = storageKey => param || storageKey
+
+  return {
+    external: true,
+    transport: 'navigation',
+    // Strings that would read back as other JSON values stay quoted
+    serialize: value =>
+      typeof value === 'string' && !isJson(value)
+        ? value
+        : JSON.stringify(value),
+    deserialize: text => (isJson(text) ? JSON.parse(text) : text),
+    get: storageKey => readParam(getParam(storageKey)),
+    set: (storageKey, value) =>
+      writeParam(getParam(storageKey), value, history),
+    remove: storageKey => writeParam(getParam(storageKey), undefined, history),
+    subscribe: (storageKey, callback) => {
+      const name = getParam(storageKey)
+      const seen = { value: readParam(name) }
+      if (!seenValues.has(name)) seenValues.set(name, new Set())
+      seenValues.get(name).add(seen)
+      const unsubscribe = subscribeToBrowserLocation(() => {
+        const value = readParam(name)
+        if (value === seen.value) return
+        seen.value = value
+        callback(value)
+      })
+      return () => {
+        unsubscribe()
+        seenValues.get(name).delete(seen)
+      }
+    }
+  }
+}
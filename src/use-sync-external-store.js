@@ -0,0 +1,43 @@
+// src/use-sync-external-store.js
+
+import React, { useState, useEffect, useLayoutEffect } from 'react'
+
+const useIsomorphicLayoutEffect =
+  typeof window !== 'undefined' ? useLayoutEffect : useEffect
+
+function didSnapshotChange (inst) {
+  try {
+    return !Object.is(inst.value, inst.getSnapshot())
+  } catch (e) {
+    return true
+  }
+}
+
+// Subscription-based fallback for React versions before 18 (>= 16.8),
+// following the official `use-sync-external-store` shim.
+function useSyncExternalStoreShim (subscribe, getSnapshot) {
+  const value = getSnapshot()
+  const [{ inst }, forceUpdate] = useState({ inst: { value, getSnapshot } })
+
+  useIsomorphicLayoutEffect(() => {
+    inst.value = value
+    inst.getSnapshot = getSnapshot
+    if (didSnapshotChange(inst)) forceUpdate({ inst })
+  }, [subscribe, value, getSnapshot])
+
+  useEffect(() => {
+    if (didSnapshotChange(inst)) forceUpdate({ inst })
+    return subscribe(() => {
+      if (didSnapshotChange(inst)) forceUpdate({ inst })
+    })
+  }, [subscribe])
+
+  return value
+}
+
+/**
+ * React's native `useSyncExternalStore` where available (React 18+),
+ * otherwise a compatible fallback.
+ */
+export const useSyncExternalStore =
+  React.useSyncExternalStore || useSyncExternalStoreShim
@@ -0,0 +1,40 @@
+// src/utils.js
+
+// Lazy-loads and guarantees a unique Tab Session Fingerprint
+export function getTabSessionId () {
+  if (typeof window === 'undefined') return 'ssr'
+
+  let id = sessionStorage.getItem('adv_state_session_id')
+  if (!id) {
+    // Generate a highly random, collision-resistant string
+    id = Math.random().toString(36).substring(2, 15) + Date.now().toString(36)
+    sessionStorage.setItem('adv_state_session_id', id)
+  }
+
+  return id
+}
+
+export function isThenable (value) {
+  return !!value && typeof value.then === 'function'
+}
+
+/**
+ * Runs an operation that may complete synchronously or return a promise,
+ * and routes its result to the same callbacks either way. Synchronous
+ * results are handled synchronously, so Web Storage writes stay immediate.
+ * @param {() => any} fn - The operation to run.
+ * @param {(result: any) => any} onSuccess - Receives the (resolved) result.
+ * @param {(error: Error) => void} onError - Receives any thrown or rejected error.
+ */
+export function settle (fn, onSuccess, onError) {
+  try {
+    const result = fn()
+    if (isThenable(result)) {
+      result.then(onSuccess).catch(onError)
+      return
+    }
+    onSuccess(result)
+  } catch (e) {
+    onError(e)
+  }
+}
@@ -3,6 +3,17 @@ const { TextEncoder, TextDecoder } = require('util')
 global.TextEncoder = TextEncoder
 global.TextDecoder = TextDecoder
 
+// JSDOM's crypto lacks SubtleCrypto, which encryption needs
+Object.defineProperty(global, 'crypto', {
+  value: require('crypto').webcrypto,
+  configurable: true
+})
+
+// Compression Streams are not part of JSDOM either
+const { CompressionStream, DecompressionStream } = require('stream/web')
+global.CompressionStream = CompressionStream
+global.DecompressionStream = DecompressionStream
+
 import React from 'react'
 import {
   renderHook,
@@ -26,7 +37,20 @@ jest.mock('../src/idb-wrapper', () => {
       del: jest.fn(async key => {
         delete store[key]
       }),
-      sweep: jest.fn(async () => {}), // <-- ADDED: Mock the garbage collector
+      keys: jest.fn(async prefix =>
+        Object.keys(store).filter(key => key.startsWith(prefix))
+      ),
+      sweep: jest.fn(async (getReason, { dryRun = false } = {}) => {
+        const swept = []
+        for (const key of Object.keys(store)) {
+          const reason = getReason(key, store[key])
+          if (reason) {
+            swept.push({ key, reason })
+            if (!dryRun) delete store[key]
+          }
+        }
+        return swept
+      }),
       _clear: () => {
         for (const key in store) delete store[key]
         jest.clearAllMocks() // Ensure call counts reset between tests
@@ -35,8 +59,21 @@ jest.mock('../src/idb-wrapper', () => {
   }
 })
 
-import { AdvancedStateProvider, useAdvancedState } from '../src/index'
+import {
+  AdvancedStateContext,
+  AdvancedStateProvider,
+  useAdvancedState,
+  useAdvancedStateSelector,
+  useAdvancedStore,
+  useIsLeaderTab,
+  createAdvancedStore,
+  createMemoryAdapter,
+  dehydrate,
+  readCookieState,
+  richSerializer
+} from '../src/index'
 import { idb as mockIdb } from '../src/idb-wrapper'
+import { compressText } from '../src/compression'
 
 class MockBroadcastChannel {
   constructor (name) {
@@ -60,6 +97,28 @@ class MockBroadcastChannel {
 }
 global.BroadcastChannel = MockBroadcastChannel
 
+// --- Web Locks Mock ---
+
+// Grants each lock to one callback at a time, in request order
+class MockLockManager {
+  constructor () {
+    this.queues = new Map()
+  }
+  request (name, ...args) {
+    const callback = args[args.length - 1]
+    const { signal } = args.length > 1 ? args[0] : {}
+    const previous = this.queues.get(name) || Promise.resolve()
+    const result = previous.then(() => {
+      if (signal && signal.aborted) {
+        throw new DOMException('The request was aborted', 'AbortError')
+      }
+      return callback({ name })
+    })
+    this.queues.set(name, result.catch(() => {}))
+    return result
+  }
+}
+
 // --- Web Storage Mocks & Setup ---
 
 const createMockStorage = () => {
@@ -74,7 +133,11 @@ const createMockStorage = () => {
     }),
     clear: jest.fn(() => {
       store = {}
-    })
+    }),
+    key: jest.fn(index => Object.keys(store)[index] ?? null),
+    get length () {
+      return Object.keys(store).length
+    }
   }
 }
 
@@ -87,7 +150,7 @@ Object.defineProperty(window, 'sessionStorage', { value: sessionStorageMock })
 const originalLocation = window.location
 beforeAll(() => {
   delete window.location
-  window.location = { search: '', pathname: '/' }
+  window.location = { search: '', pathname: '/', hash: '' }
 })
 
 afterAll(() => {
@@ -99,13 +162,27 @@ beforeEach(() => {
   window.sessionStorage.clear()
   window.location.search = ''
   window.location.pathname = '/'
+  window.location.hash = ''
 
   mockIdb._clear()
   global.__BCCheck = {}
+  Object.defineProperty(navigator, 'locks', {
+    value: new MockLockManager(),
+    configurable: true
+  })
 
   jest.clearAllMocks()
 })
 
+// Tests that swap globals or timers leave the restore to this hook, so a
+// failing assertion doesn't break the tests after it
+afterEach(() => {
+  jest.useRealTimers()
+  global.BroadcastChannel = MockBroadcastChannel
+  delete global.SharedWorker
+  delete navigator.locks
+})
+
 const createWrapper = (props = {}) => {
   return function Wrapper ({ children }) {
     return (
@@ -285,6 +362,338 @@ describe('Advanced State Management', () => {
     })
   })
 
+  describe('Reactive URL Scoping', () => {
+    // Updates the mocked location, like the browser does on navigation
+    const navigate = url => {
+      const { pathname, search } = new URL(url, 'http://localhost')
+      window.location.pathname = pathname
+      window.location.search = search
+      window.history.pushState({}, '', url)
+    }
+
+    it('loads the value of the new scope after pushState', () => {
+      localStorageMock.setItem('testApp:1:draft', '"first"')
+      localStorageMock.setItem('testApp:2:draft', '"second"')
+      window.location.search = '?appId=1'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'appId'
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('first')
+
+      act(() => navigate('/?appId=2'))
+      expect(result.current[0]).toBe('second')
+      act(() => {
+        result.current[1]('edited')
+      })
+      expect(localStorageMock.getItem('testApp:2:draft')).toBe('"edited"')
+      expect(localStorageMock.getItem('testApp:1:draft')).toBe('"first"')
+
+      // Back to a scope without a value
+      window.location.search = '?appId=3'
+      act(() => {
+        window.dispatchEvent(new PopStateEvent('popstate'))
+      })
+      expect(result.current[0]).toBe('')
+      expect(result.current[2].isCached).toBe(false)
+    })
+
+    it('flushes pending debounced writes to the old scope first', () => {
+      jest.useFakeTimers()
+      window.location.pathname = '/docs/a'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('body', {
+            initial: '',
+            persist: 'local',
+            notify: 'cross-component',
+            scopeByUrlPath: '$2',
+            debounce: 1000
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]('typed in a')
+      })
+      expect(localStorageMock.getItem('testApp:a:body')).toBe('""')
+
+      act(() => navigate('/docs/b'))
+      expect(localStorageMock.getItem('testApp:a:body')).toBe('"typed in a"')
+      expect(result.current[0]).toBe('')
+
+      act(() => {
+        jest.advanceTimersByTime(1000)
+      })
+      expect(localStorageMock.getItem('testApp:b:body')).toBe('""')
+    })
+
+    it('loads IndexedDB values of the new scope asynchronously', async () => {
+      await mockIdb.set('testApp:1:rows', [1])
+      await mockIdb.set('testApp:2:rows', [2, 2])
+      window.location.search = '?appId=1'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('rows', {
+            initial: [],
+            persist: 'localdb',
+            scopeByUrlParam: 'appId'
+          }),
+        { wrapper: createWrapper() }
+      )
+      await waitFor(() => expect(result.current[0]).toEqual([1]))
+
+      act(() => navigate('/?appId=2'))
+      expect(result.current[0]).toEqual([])
+      expect(result.current[2].isInitializing).toBe(true)
+      await waitFor(() => expect(result.current[0]).toEqual([2, 2]))
+      expect(result.current[2].isInitializing).toBe(false)
+    })
+
+    it('follows the location of a router through useLocation', () => {
+      localStorageMock.setItem('testApp:42:profile', '"Ada"')
+      let routerLocation = { pathname: '/users/7', search: '' }
+      const useRouterLocation = () => routerLocation
+
+      const { result, rerender } = renderHook(
+        () =>
+          useAdvancedState('profile', {
+            initial: null,
+            persist: 'local',
+            scopeByUrlPath: '$2'
+          }),
+        { wrapper: createWrapper({ useLocation: useRouterLocation }) }
+      )
+      expect(result.current[0]).toBeNull()
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        'testApp:7:profile',
+        'null'
+      )
+
+      routerLocation = { pathname: '/users/42', search: '' }
+      rerender()
+      expect(result.current[0]).toBe('Ada')
+    })
+
+    it('restores the History API once the last scoped hook unmounts', () => {
+      const { pushState, replaceState } = window.history
+      const options = { initial: '', scopeByUrlParam: 'appId' }
+
+      const browserScoped = renderHook(
+        () => useAdvancedState('draft', options),
+        { wrapper: createWrapper() }
+      )
+      expect(window.history.pushState).not.toBe(pushState)
+      browserScoped.unmount()
+      expect(window.history.pushState).toBe(pushState)
+      expect(window.history.replaceState).toBe(replaceState)
+
+      // A location source replaces the History API
+      const routerLocation = { pathname: '/', search: '?appId=1' }
+      renderHook(() => useAdvancedState('draft', options), {
+        wrapper: createWrapper({ useLocation: () => routerLocation })
+      })
+      expect(window.history.pushState).toBe(pushState)
+    })
+  })
+
+  describe('Composite Scopes', () => {
+    it('combines several URL params, the path and the hash', () => {
+      window.location.pathname = '/projects/p1'
+      window.location.search = '?tenant=acme&doc=42'
+      window.location.hash = '#tab=notes'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: ['tenant', 'doc'],
+            scopeByUrlPath: '$2',
+            scopeByUrlHash: 'tab'
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]('text')
+      })
+      expect(localStorageMock.getItem('testApp:acme_42_p1_notes:draft')).toBe(
+        '"text"'
+      )
+    })
+
+    it('falls back per param when one of several is missing', () => {
+      const options = {
+        initial: '',
+        persist: 'local',
+        scopeByUrlParam: ['doc', 'rev']
+      }
+      window.location.search = '?doc=42'
+      const first = renderHook(() => useAdvancedState('draft', options), {
+        wrapper: createWrapper()
+      })
+      act(() => {
+        first.result.current[1]('draft of 42')
+      })
+      expect(
+        localStorageMock.getItem('testApp:42_default-param:draft')
+      ).toBe('"draft of 42"')
+
+      window.location.search = '?doc=57'
+      const second = renderHook(() => useAdvancedState('draft', options), {
+        wrapper: createWrapper()
+      })
+      expect(second.result.current[0]).toBe('')
+    })
+
+    it('keeps scoping a single param with a path by the param', () => {
+      localStorageMock.setItem('testApp:42:draft', '"stored before"')
+      window.location.pathname = '/projects/p1'
+      window.location.search = '?doc=42'
+      const { result } = renderHook(
+        () => ({
+          legacy: useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'doc',
+            scopeByUrlPath: '$2'
+          }),
+          combined: useAdvancedState('note', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: ['doc'],
+            scopeByUrlPath: '$2'
+          })
+        }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current.legacy[0]).toBe('stored before')
+      act(() => {
+        result.current.combined[1]('text')
+      })
+      expect(localStorageMock.getItem('testApp:42_p1:note')).toBe('"text"')
+    })
+
+    it('re-scopes when the hash changes', () => {
+      localStorageMock.setItem('testApp:intro:note', '"first"')
+      localStorageMock.setItem('testApp:usage:note', '"second"')
+      window.location.hash = '#intro'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('note', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlHash: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('first')
+
+      window.location.hash = '#usage'
+      act(() => {
+        window.dispatchEvent(new HashChangeEvent('hashchange'))
+      })
+      expect(result.current[0]).toBe('second')
+    })
+
+    it('passes the provider scopeContext to scopeBy', () => {
+      window.location.search = '?doc=42'
+      let scopeContext = { userId: 'u1', tenant: 'acme' }
+      const scopeBy = (location, context) =>
+        `${context.tenant}-${context.userId}`
+      const { result, rerender } = renderHook(
+        () =>
+          useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'doc',
+            scopeBy
+          }),
+        {
+          wrapper: ({ children }) => (
+            <AdvancedStateProvider
+              prefix='testApp'
+              scopeContext={scopeContext}
+            >
+              {children}
+            </AdvancedStateProvider>
+          )
+        }
+      )
+      act(() => {
+        result.current[1]('by u1')
+      })
+      expect(localStorageMock.getItem('testApp:42_acme-u1:draft')).toBe(
+        '"by u1"'
+      )
+
+      scopeContext = { userId: 'u2', tenant: 'acme' }
+      rerender()
+      expect(result.current[0]).toBe('')
+      act(() => {
+        result.current[1]('by u2')
+      })
+      expect(localStorageMock.getItem('testApp:42_acme-u2:draft')).toBe(
+        '"by u2"'
+      )
+      expect(localStorageMock.getItem('testApp:42_acme-u1:draft')).toBe(
+        '"by u1"'
+      )
+    })
+
+    it('isolates documents without a scope value under missingScope: isolate', () => {
+      window.location.pathname = '/notes'
+      window.location.search = '?draft=1'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('text', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'doc',
+            missingScope: 'isolate'
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]('unsaved')
+      })
+      expect(localStorageMock.getItem('testApp:/notes?draft=1:text')).toBe(
+        '"unsaved"'
+      )
+      expect(localStorageMock.getItem('testApp:default-param:text')).toBeNull()
+    })
+
+    it('does not persist without a scope value under missingScope: disable', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('text', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'doc',
+            missingScope: 'disable'
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]('not saved')
+      })
+      expect(result.current[0]).toBe('not saved')
+      expect(localStorageMock.setItem).not.toHaveBeenCalled()
+
+      act(() => {
+        window.location.search = '?doc=7'
+        window.history.pushState({}, '', '/?doc=7')
+      })
+      act(() => {
+        result.current[1]('saved')
+      })
+      expect(localStorageMock.getItem('testApp:7:text')).toBe('"saved"')
+    })
+  })
+
   describe('Synchronization (Cross-Component and Cross-Tab)', () => {
     it('syncs state between two distinct components using the same key', () => {
       let valueB = null
@@ -337,12 +746,9 @@ describe('Advanced State Management', () => {
   })
 
   describe('Debouncing', () => {
-    beforeAll(() => {
+    beforeEach(() => {
       jest.useFakeTimers()
     })
-    afterAll(() => {
-      jest.useRealTimers()
-    })
 
     it('debounces storage writes', () => {
       const { result } = renderHook(
@@ -422,6 +828,30 @@ describe('Advanced State Management', () => {
       )
     })
 
+    it('reports cleared session storage to the onError handler', () => {
+      const onError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('sessionData', {
+            initial: 'chunk1',
+            persist: 'session'
+          }),
+        { wrapper: createWrapper({ onError }) }
+      )
+      sessionStorageMock.setItem.mockImplementationOnce(() => {
+        throw new Error('QuotaExceededError')
+      })
+      act(() => {
+        result.current[1]('chunk2-that-is-too-large')
+      })
+      expect(onError).toHaveBeenCalledTimes(2)
+      expect(onError.mock.calls[1][0]).toMatchObject({
+        key: 'sessionData',
+        message: 'Cleared stale session data for sessionData due to quota limits'
+      })
+      expect(consoleWarnSpy).not.toHaveBeenCalled()
+    })
+
     it('does not clear local storage when quota is exceeded', () => {
       const { result } = renderHook(
         () =>
@@ -452,52 +882,427 @@ describe('Advanced State Management', () => {
     })
   })
 
-  // ---> UPDATED: Renamed block from IndexedDB to LocalDB
-  describe('LocalDB Asynchronous Persistence', () => {
-    it('initializes asynchronously and updates the isInitializing flag', async () => {
-      await mockIdb.set('testApp:asyncData', { user: 'Bob' })
-      const { result } = renderHook(
+  describe('Quota Policy', () => {
+    const setItem = localStorageMock.setItem.getMockImplementation()
+    let consoleWarnSpy
+
+    // Fails writes once all entries together exceed `maxChars`
+    const limitLocalStorage = maxChars => {
+      localStorageMock.setItem.mockImplementation((key, value) => {
+        let used = key.length + String(value).length
+        for (let i = 0; i < localStorageMock.length; i++) {
+          const otherKey = localStorageMock.key(i)
+          if (otherKey !== key) {
+            used += otherKey.length + localStorageMock.getItem(otherKey).length
+          }
+        }
+        if (used > maxChars) {
+          throw new DOMException('Quota exceeded', 'QuotaExceededError')
+        }
+        setItem(key, value)
+      })
+    }
+
+    const renderKeys = (keys, props) =>
+      renderHook(
         () =>
-          useAdvancedState('asyncData', {
-            initial: null,
-            persist: 'localdb' // <-- Changed from 'indexeddb'
-          }),
-        { wrapper: createWrapper() }
+          keys.map(([key, options]) =>
+            useAdvancedState(key, { initial: '', persist: 'local', ...options })
+          ),
+        { wrapper: createWrapper(props) }
       )
 
-      expect(result.current[0]).toBeNull()
-      expect(result.current[2].isInitializing).toBe(true)
-      expect(result.current[2].isCached).toBe(false)
+    // Values carry their write time while the policy evicts keys
+    const readValue = storageKey =>
+      JSON.parse(JSON.parse(localStorageMock.getItem(storageKey)).payload)
 
-      await waitFor(() => {
-        expect(result.current[2].isInitializing).toBe(false)
-      })
+    beforeEach(() => {
+      consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    })
 
-      expect(result.current[0]).toEqual({ user: 'Bob' })
-      expect(result.current[2].isCached).toBe(true)
+    afterEach(() => {
+      localStorageMock.setItem.mockImplementation(setItem)
+      consoleWarnSpy.mockRestore()
     })
 
-    it('writes to IndexedDB asynchronously upon state change', async () => {
-      const { result } = renderHook(
-        () => useAdvancedState('saveData', { initial: 0, persist: 'localdb' }),
-        { wrapper: createWrapper() }
+    it('evicts the least recently used keys and retries', () => {
+      const { result } = renderKeys([['a'], ['b'], ['c']], {
+        quota: { fallback: false }
+      })
+      limitLocalStorage(260)
+      act(() => {
+        result.current[0][1]('a'.repeat(40))
+      })
+      act(() => {
+        result.current[1][1]('b'.repeat(40))
+      })
+      act(() => {
+        result.current[0][1]('A'.repeat(40))
+      })
+      act(() => {
+        result.current[2][1]('c'.repeat(60))
+      })
+
+      expect(localStorageMock.getItem('testApp:b')).toBeNull()
+      expect(readValue('testApp:a')).toBe('A'.repeat(40))
+      expect(readValue('testApp:c')).toBe('c'.repeat(60))
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Evicted 1 key(s) to make room for testApp:c'),
+        ['testApp:b']
       )
+    })
+
+    it('evicts by the last write of keys not used since a reload', () => {
+      const now = jest.spyOn(Date, 'now')
+      try {
+        let time = 1700000000000
+        now.mockImplementation(() => time)
+        const session = renderKeys([['a'], ['b']], { quota: true })
+        for (const [index, value] of [[0, 'a'], [1, 'b'], [0, 'A']]) {
+          time += 1000
+          act(() => {
+            session.result.current[index][1](value.repeat(40))
+          })
+        }
+        session.unmount()
+
+        // After a reload, only `c` is used
+        time += 1000
+        const { result } = renderKeys([['c']], {
+          quota: { fallback: false }
+        })
+        limitLocalStorage(260)
+        act(() => {
+          result.current[0][1]('c'.repeat(60))
+        })
+        expect(localStorageMock.getItem('testApp:b')).toBeNull()
+        expect(readValue('testApp:a')).toBe('A'.repeat(40))
+        expect(readValue('testApp:c')).toBe('c'.repeat(60))
+      } finally {
+        now.mockRestore()
+      }
+    })
+
+    it('does not log evictions when the app handles quota problems', () => {
+      const onError = jest.fn()
+      const { result } = renderKeys([['a'], ['b']], {
+        quota: { fallback: false },
+        onError
+      })
+      limitLocalStorage(160)
       act(() => {
-        result.current[1](42)
+        result.current[0][1]('a'.repeat(40))
       })
-      expect(result.current[0]).toBe(42)
+      act(() => {
+        result.current[1][1]('b'.repeat(40))
+      })
+      expect(localStorageMock.getItem('testApp:a')).toBeNull()
+      expect(consoleWarnSpy).not.toHaveBeenCalled()
+      expect(onError).not.toHaveBeenCalled()
+    })
 
-      await waitFor(() => {
-        expect(mockIdb.set).toHaveBeenCalledWith('testApp:saveData', 42)
+    it('reports a failed fallback of the first write to onError', async () => {
+      limitLocalStorage(0)
+      mockIdb.set.mockRejectedValueOnce(new Error('IDB unavailable'))
+      const onError = jest.fn()
+      renderKeys([['big', { initial: 'x' }]], {
+        quota: { evict: false },
+        onError
+      })
+      await waitFor(() => expect(onError).toHaveBeenCalledTimes(1))
+      const error = onError.mock.calls[0][0]
+      expect(error).toMatchObject({
+        code: 'STORAGE_WRITE_FAILED',
+        key: 'big',
+        persist: 'local'
       })
+      expect(error.cause.cause.message).toBe('IDB unavailable')
     })
 
-    it('syncs cross-tab using BroadcastChannel', async () => {
-      const { result: hookA } = renderHook(
-        () =>
-          useAdvancedState('sharedIdb', {
-            initial: 'A',
-            persist: 'localdb',
+    it('evicts the lowest priority first and spares higher ones', () => {
+      const onQuotaExceeded = jest.fn()
+      const { result } = renderKeys(
+        [['low'], ['high', { priority: 2 }], ['mid', { priority: 1 }]],
+        { quota: { evict: 'priority', fallback: false, onQuotaExceeded } }
+      )
+      limitLocalStorage(280)
+      act(() => {
+        result.current[1][1]('h'.repeat(40))
+      })
+      act(() => {
+        result.current[0][1]('l'.repeat(40))
+      })
+      act(() => {
+        result.current[2][1]('m'.repeat(60))
+      })
+      expect(localStorageMock.getItem('testApp:low')).toBeNull()
+      expect(localStorageMock.getItem('testApp:high')).not.toBeNull()
+
+      // A lower priority key never evicts a higher one
+      act(() => {
+        result.current[0][1]('l'.repeat(60))
+      })
+      expect(localStorageMock.getItem('testApp:low')).toBeNull()
+      expect(localStorageMock.getItem('testApp:mid')).not.toBeNull()
+      expect(onQuotaExceeded).toHaveBeenCalledTimes(1)
+    })
+
+    it('moves values to the fallback target and loads them from there', async () => {
+      const { result } = renderKeys([['big']], {
+        quota: { evict: false }
+      })
+      limitLocalStorage(100)
+      act(() => {
+        result.current[0][1]('x'.repeat(200))
+      })
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:big')).toBe(
+          JSON.stringify('x'.repeat(200))
+        )
+      })
+      expect(
+        JSON.parse(localStorageMock.getItem('testApp:big')).__adv
+      ).toEqual({ at: 'localdb' })
+
+      const reloaded = renderKeys([['big']], { quota: true })
+      expect(reloaded.result.current[0][2].isInitializing).toBe(true)
+      await waitFor(() => {
+        expect(reloaded.result.current[0][0]).toBe('x'.repeat(200))
+      })
+
+      // Once the value fits again, it moves back
+      localStorageMock.setItem.mockImplementation(setItem)
+      act(() => {
+        reloaded.result.current[0][1]('small')
+      })
+      expect(readValue('testApp:big')).toBe('small')
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:big')).toBeUndefined()
+      })
+    })
+
+    it('reports writes it could not make room for', async () => {
+      const onQuotaExceeded = jest.fn()
+      const { result } = renderKeys([['huge']], {
+        quota: { evict: false, fallback: false, onQuotaExceeded }
+      })
+      limitLocalStorage(100)
+      act(() => {
+        result.current[0][1]('x'.repeat(200))
+      })
+      await waitFor(() => expect(onQuotaExceeded).toHaveBeenCalled())
+      expect(onQuotaExceeded).toHaveBeenCalledWith({
+        key: 'huge',
+        storageKey: 'testApp:huge',
+        size: 404,
+        error: expect.objectContaining({ name: 'QuotaExceededError' })
+      })
+      expect(consoleWarnSpy).not.toHaveBeenCalledWith(
+        expect.stringContaining('Failed to save value'),
+        expect.anything()
+      )
+    })
+  })
+
+  describe('Error Reporting', () => {
+    it('delivers typed errors to the provider instead of the console', () => {
+      localStorageMock.setItem('testApp:broken', '{"not valid JSON')
+      const consoleErrorSpy = jest.spyOn(console, 'error')
+      const onError = jest.fn()
+
+      const { result } = renderHook(
+        () => useAdvancedState('broken', { initial: 'safe', persist: 'local' }),
+        { wrapper: createWrapper({ onError }) }
+      )
+
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'AdvancedStateError',
+          code: 'PARSE_FAILED',
+          key: 'broken',
+          storageKey: 'testApp:broken',
+          persist: 'local',
+          cause: expect.any(SyntaxError)
+        })
+      )
+      expect(result.current[0]).toBe('safe')
+      expect(result.current[2].error).toBe(onError.mock.calls[0][0])
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+      consoleErrorSpy.mockRestore()
+    })
+
+    it('reports an unknown persistence target once', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      try {
+        const onError = jest.fn()
+        const { result } = renderHook(
+          () => useAdvancedState('draft', { initial: '', persist: 'disk' }),
+          { wrapper: createWrapper({ onError }) }
+        )
+        act(() => {
+          result.current[1]('kept in memory')
+        })
+        expect(result.current[0]).toBe('kept in memory')
+        await waitFor(() => expect(onError).toHaveBeenCalled())
+        expect(onError).toHaveBeenCalledTimes(1)
+        expect(onError).toHaveBeenCalledWith(
+          expect.objectContaining({
+            code: 'INVALID_CONFIG',
+            key: 'draft',
+            persist: undefined
+          })
+        )
+        expect(warn).not.toHaveBeenCalled()
+      } finally {
+        warn.mockRestore()
+      }
+    })
+
+    it('calls the hook option and exposes the error until the next write', async () => {
+      const onError = jest.fn()
+      const onKeyError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            onError: onKeyError
+          }),
+        { wrapper: createWrapper({ onError }) }
+      )
+      expect(result.current[2].error).toBeNull()
+
+      const cause = new Error('Storage is disabled')
+      localStorageMock.setItem.mockImplementationOnce(() => {
+        throw cause
+      })
+      act(() => {
+        result.current[1]('lost')
+      })
+      expect(onKeyError).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'STORAGE_WRITE_FAILED', cause })
+      )
+      expect(onError).toHaveBeenCalledWith(onKeyError.mock.calls[0][0])
+      expect(result.current[2].error).toMatchObject({
+        code: 'STORAGE_WRITE_FAILED',
+        key: 'draft'
+      })
+
+      await act(async () => {
+        result.current[1]('saved')
+      })
+      expect(result.current[2].error).toBeNull()
+    })
+
+    it('reports failed IndexedDB writes with their target', async () => {
+      const onError = jest.fn()
+      const { result } = renderHook(
+        () => useAdvancedState('notes', { initial: [], persist: 'localdb' }),
+        { wrapper: createWrapper({ onError }) }
+      )
+      await waitFor(() => expect(result.current[2].isInitializing).toBe(false))
+
+      mockIdb.set.mockRejectedValueOnce(new Error('Transaction aborted'))
+      act(() => {
+        result.current[1](['a'])
+      })
+      await waitFor(() => expect(result.current[2].error).not.toBeNull())
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: 'IDB_WRITE_FAILED',
+          key: 'notes',
+          storageKey: 'testApp:notes',
+          persist: 'localdb'
+        })
+      )
+    })
+
+    it('reports failed garbage collection sweeps', async () => {
+      const onError = jest.fn()
+      mockIdb.sweep.mockRejectedValueOnce(new Error('Blocked'))
+      render(
+        <AdvancedStateProvider
+          prefix='testApp'
+          leaderElection={false}
+          onError={onError}
+        >
+          {null}
+        </AdvancedStateProvider>
+      )
+      await waitFor(() =>
+        expect(onError).toHaveBeenCalledWith(
+          expect.objectContaining({ code: 'SWEEP_FAILED', key: undefined })
+        )
+      )
+    })
+
+    it('keeps logging to the console without a handler', async () => {
+      const consoleWarnSpy = jest
+        .spyOn(console, 'warn')
+        .mockImplementation(() => {})
+      mockIdb.sweep.mockRejectedValueOnce(new Error('Blocked'))
+      render(
+        <AdvancedStateProvider prefix='testApp' leaderElection={false}>
+          {null}
+        </AdvancedStateProvider>
+      )
+      await waitFor(() =>
+        expect(consoleWarnSpy).toHaveBeenCalledWith(
+          '[AdvancedState] IDB sweep failed:',
+          expect.any(Error)
+        )
+      )
+      consoleWarnSpy.mockRestore()
+    })
+  })
+
+  // ---> UPDATED: Renamed block from IndexedDB to LocalDB
+  describe('LocalDB Asynchronous Persistence', () => {
+    it('initializes asynchronously and updates the isInitializing flag', async () => {
+      await mockIdb.set('testApp:asyncData', { user: 'Bob' })
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('asyncData', {
+            initial: null,
+            persist: 'localdb' // <-- Changed from 'indexeddb'
+          }),
+        { wrapper: createWrapper() }
+      )
+
+      expect(result.current[0]).toBeNull()
+      expect(result.current[2].isInitializing).toBe(true)
+      expect(result.current[2].isCached).toBe(false)
+
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+
+      expect(result.current[0]).toEqual({ user: 'Bob' })
+      expect(result.current[2].isCached).toBe(true)
+    })
+
+    it('writes to IndexedDB asynchronously upon state change', async () => {
+      const { result } = renderHook(
+        () => useAdvancedState('saveData', { initial: 0, persist: 'localdb' }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1](42)
+      })
+      expect(result.current[0]).toBe(42)
+
+      await waitFor(() => {
+        expect(mockIdb.set).toHaveBeenCalledWith('testApp:saveData', 42)
+      })
+    })
+
+    it('syncs cross-tab using BroadcastChannel', async () => {
+      const { result: hookA } = renderHook(
+        () =>
+          useAdvancedState('sharedIdb', {
+            initial: 'A',
+            persist: 'localdb',
             notify: 'cross-tab'
           }),
         { wrapper: createWrapper() }
@@ -581,6 +1386,194 @@ describe('Advanced State Management', () => {
       })
     })
 
+    it('sweeps sessiondb entries older than the default max age', async () => {
+      const now = Date.now()
+      await mockIdb.set('__sessiondb__:deadTab:testApp:draft', {
+        payload: 'stale',
+        __ts: now - 25 * 60 * 60 * 1000
+      })
+      await mockIdb.set('__sessiondb__:liveTab:testApp:draft', {
+        payload: 'fresh',
+        __ts: now
+      })
+      await mockIdb.set('testApp:persistent', {
+        payload: 'kept',
+        __ts: now - 48 * 60 * 60 * 1000
+      })
+      render(
+        <AdvancedStateProvider prefix='testApp'>{null}</AdvancedStateProvider>
+      )
+      await waitFor(async () => {
+        expect(
+          await mockIdb.get('__sessiondb__:deadTab:testApp:draft')
+        ).toBeUndefined()
+      })
+      expect(await mockIdb.get('__sessiondb__:liveTab:testApp:draft')).toEqual(
+        { payload: 'fresh', __ts: now }
+      )
+      expect(await mockIdb.get('testApp:persistent')).toBeDefined()
+    })
+
+    it('sweeps Web Storage values by age once they carry a write time', async () => {
+      const gc = { targets: ['local'], maxAge: { local: 60000 } }
+      const first = renderHook(
+        () => useAdvancedState('draft', { initial: '', persist: 'local' }),
+        { wrapper: createWrapper({ gc }) }
+      )
+      act(() => {
+        first.result.current[1]('text')
+      })
+      const stored = JSON.parse(localStorageMock.getItem('testApp:draft'))
+      expect(stored.payload).toBe('"text"')
+      expect(stored.__adv.ts).toBeGreaterThan(0)
+      first.unmount()
+
+      // Values written while nothing sweeps by age stay plain
+      const plain = renderHook(
+        () => useAdvancedState('note', { initial: '', persist: 'local' }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        plain.result.current[1]('text')
+      })
+      expect(localStorageMock.getItem('testApp:note')).toBe('"text"')
+      plain.unmount()
+
+      const now = jest
+        .spyOn(Date, 'now')
+        .mockReturnValue(stored.__adv.ts + 120000)
+      try {
+        const onSweep = jest.fn()
+        render(
+          <AdvancedStateProvider prefix='testApp' gc={{ ...gc, onSweep }}>
+            {null}
+          </AdvancedStateProvider>
+        )
+        await waitFor(() => {
+          expect(onSweep).toHaveBeenCalled()
+        })
+        expect(onSweep.mock.calls[0][0].swept).toEqual([
+          { target: 'local', storageKey: 'testApp:draft', reason: 'max-age' }
+        ])
+        expect(localStorageMock.getItem('testApp:draft')).toBeNull()
+      } finally {
+        now.mockRestore()
+      }
+    })
+
+    it('removes orphaned keys from Web Storage when configured', async () => {
+      localStorageMock.setItem('testApp:theme', '"dark"')
+      localStorageMock.setItem('testApp:legacyFlag', 'true')
+      localStorageMock.setItem('testApp:doc1:oldDraft', '"text"')
+      localStorageMock.setItem('testApp:doc1:allowed', '1')
+      localStorageMock.setItem('otherApp:legacyFlag', 'true')
+      // Undo histories belong to the key of their value
+      localStorageMock.setItem('testApp:theme:__history__', '{"past":[]}')
+      const onSweep = jest.fn()
+
+      render(
+        <AdvancedStateProvider
+          prefix='testApp'
+          defaults={[{ key: 'theme', persist: 'local' }]}
+          gc={{
+            targets: ['local'],
+            removeOrphans: true,
+            allowList: ['allowed'],
+            onSweep
+          }}
+        >
+          {null}
+        </AdvancedStateProvider>
+      )
+      await waitFor(() => {
+        expect(onSweep).toHaveBeenCalled()
+      })
+      expect(onSweep.mock.calls[0][0].swept).toEqual([
+        { target: 'local', storageKey: 'testApp:legacyFlag', reason: 'orphan' },
+        {
+          target: 'local',
+          storageKey: 'testApp:doc1:oldDraft',
+          reason: 'orphan'
+        }
+      ])
+      expect(localStorageMock.getItem('testApp:legacyFlag')).toBeNull()
+      expect(localStorageMock.getItem('testApp:doc1:oldDraft')).toBeNull()
+      expect(localStorageMock.getItem('testApp:theme')).toBe('"dark"')
+      expect(localStorageMock.getItem('testApp:doc1:allowed')).toBe('1')
+      expect(localStorageMock.getItem('otherApp:legacyFlag')).toBe('true')
+      expect(
+        localStorageMock.getItem('testApp:theme:__history__')
+      ).not.toBeNull()
+    })
+
+    it('reports without deleting in dry-run mode', async () => {
+      sessionStorageMock.setItem(
+        'testApp:old',
+        '{"__adv":{"ts":1,"exp":2},"payload":"1"}'
+      )
+      const onSweep = jest.fn()
+      render(
+        <AdvancedStateProvider
+          prefix='testApp'
+          gc={{ targets: ['session'], dryRun: true, onSweep }}
+        >
+          {null}
+        </AdvancedStateProvider>
+      )
+      await waitFor(() => {
+        expect(onSweep).toHaveBeenCalledWith({
+          dryRun: true,
+          swept: [
+            { target: 'session', storageKey: 'testApp:old', reason: 'expired' }
+          ]
+        })
+      })
+      expect(sessionStorageMock.getItem('testApp:old')).not.toBeNull()
+    })
+
+    it('sweeps periodically with a custom max age', async () => {
+      jest.useFakeTimers()
+      const onSweep = jest.fn()
+      const { unmount } = render(
+        <AdvancedStateProvider
+          prefix='testApp'
+          gc={{ targets: ['local'], maxAge: 1000, interval: 5000, onSweep }}
+        >
+          {null}
+        </AdvancedStateProvider>
+      )
+      await act(async () => {})
+      expect(onSweep).toHaveBeenCalledTimes(1)
+
+      localStorageMock.setItem(
+        'testApp:aged',
+        `{"__adv":{"ts":${Date.now() - 2000},"exp":${Date.now() + 60000}},"payload":"1"}`
+      )
+      await act(async () => {
+        jest.advanceTimersByTime(5000)
+      })
+      expect(onSweep).toHaveBeenCalledTimes(2)
+      expect(onSweep.mock.calls[1][0].swept).toEqual([
+        { target: 'local', storageKey: 'testApp:aged', reason: 'max-age' }
+      ])
+
+      unmount()
+      await act(async () => {
+        jest.advanceTimersByTime(5000)
+      })
+      expect(onSweep).toHaveBeenCalledTimes(2)
+    })
+
+    it('can be disabled', async () => {
+      render(
+        <AdvancedStateProvider prefix='testApp' gc={false}>
+          {null}
+        </AdvancedStateProvider>
+      )
+      await act(async () => {})
+      expect(mockIdb.sweep).not.toHaveBeenCalled()
+    })
+
     it('prefixes storage keys with a session ID when using sessiondb', async () => {
       const { result } = renderHook(
         () =>
@@ -631,64 +1624,2525 @@ describe('Advanced State Management', () => {
     })
   })
 
-  describe('Render Optimization', () => {
-    it('does not cause extra renders when setting the exact same primitive value', () => {
-      const renderTracker = jest.fn()
+  describe('Cookie Persistence', () => {
+    afterEach(() => {
+      for (const pair of document.cookie.split(';')) {
+        const name = pair.split('=')[0].trim()
+        if (name) document.cookie = `${name}=; Max-Age=0; Path=/`
+      }
+    })
+
+    it('writes values to cookies with the key\'s attributes', () => {
+      const setCookie = jest.spyOn(Document.prototype, 'cookie', 'set')
       const { result } = renderHook(
-        () => {
-          renderTracker()
-          return useAdvancedState('optimCount', { initial: 1 })
-        },
+        () =>
+          useAdvancedState('theme', {
+            initial: 'light',
+            persist: 'cookie',
+            cookie: { maxAge: 60 * 60 * 1000, sameSite: 'strict' }
+          }),
         { wrapper: createWrapper() }
       )
+      act(() => {
+        result.current[1]('dark')
+      })
+      expect(setCookie).toHaveBeenLastCalledWith(
+        'testApp%3Atheme=%22dark%22; Max-Age=3600; Path=/; SameSite=strict'
+      )
+      expect(document.cookie).toContain('testApp%3Atheme=%22dark%22')
+      setCookie.mockRestore()
+    })
 
-      expect(renderTracker).toHaveBeenCalledTimes(1)
+    it('loads cookie values synchronously on the first render', () => {
+      document.cookie = 'testApp%3A7%3Alocale=%22de%22; Path=/'
+      window.location.search = '?shop=7'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('locale', {
+            initial: 'en',
+            persist: 'cookie',
+            scopeByUrlParam: 'shop'
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('de')
+      expect(result.current[2].isCached).toBe(true)
+    })
+
+    it('reports values too large for a cookie', () => {
+      const onError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('notes', {
+            initial: '',
+            persist: 'cookie',
+            onError
+          }),
+        { wrapper: createWrapper() }
+      )
       act(() => {
-        result.current[1](2)
+        result.current[1]('x'.repeat(5000))
       })
-      expect(renderTracker).toHaveBeenCalledTimes(2)
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: 'STORAGE_WRITE_FAILED',
+          key: 'notes',
+          cause: expect.objectContaining({ name: 'CookieSizeError' })
+        })
+      )
+      expect(result.current[2].error.code).toBe('STORAGE_WRITE_FAILED')
+    })
+
+    it('syncs cookie values across tabs', async () => {
+      const options = {
+        initial: 'light',
+        persist: 'cookie',
+        notify: 'cross-tab'
+      }
+      const { result: tabA } = renderHook(
+        () => useAdvancedState('theme', options),
+        { wrapper: createWrapper() }
+      )
+      const { result: tabB } = renderHook(
+        () => useAdvancedState('theme', options),
+        { wrapper: createWrapper() }
+      )
       act(() => {
-        result.current[1](2)
+        tabA.current[1]('dark')
       })
-      expect(renderTracker).toHaveBeenCalledTimes(2)
+      await waitFor(() => expect(tabB.current[0]).toBe('dark'))
     })
 
-    it('does not re-render components listening to unrelated keys', () => {
-      const renderTrackerA = jest.fn()
-      const renderTrackerB = jest.fn()
+    it('reads the cookies of a request on the server', () => {
+      const defaults = [
+        { key: 'theme', persist: 'cookie' },
+        { key: 'locale', persist: 'cookie', scopeByUrlParam: 'shop' },
+        { key: 'session', persist: 'cookie', ttl: 1000 },
+        { key: 'draft', persist: 'local' }
+      ]
+      const expired = JSON.stringify({
+        __adv: { ts: 1, exp: 2 },
+        payload: '"stale"'
+      })
+      const header = [
+        'testApp%3Atheme=%22dark%22',
+        'testApp%3A7%3Alocale=%22de%22',
+        `testApp%3Asession=${encodeURIComponent(expired)}`,
+        'testApp%3Adraft=%22text%22',
+        'other=1'
+      ].join('; ')
 
-      const ComponentA = () => {
-        renderTrackerA()
-        const [, setA] = useAdvancedState('keyA', {
-          initial: 'apple',
+      const state = readCookieState(header, {
+        prefix: 'testApp',
+        defaults,
+        url: '/?shop=7'
+      })
+      expect(state).toEqual({ theme: 'dark', locale: 'de' })
+    })
+  })
+
+  describe('URL Persistence', () => {
+    // Mirrors History API writes into the mocked location, and keeps the
+    // entries that back/forward move between
+    let entries
+    let pushState
+    let replaceState
+
+    const setLocation = url => {
+      const { pathname, search, hash } = new URL(url, 'http://localhost')
+      Object.assign(window.location, { pathname, search, hash })
+    }
+
+    const goBack = () => {
+      entries.pop()
+      setLocation(entries[entries.length - 1])
+      window.dispatchEvent(new PopStateEvent('popstate'))
+    }
+
+    beforeEach(() => {
+      entries = ['/']
+      pushState = jest
+        .spyOn(window.history, 'pushState')
+        .mockImplementation((state, title, url) => {
+          entries.push(url)
+          setLocation(url)
+        })
+      replaceState = jest
+        .spyOn(window.history, 'replaceState')
+        .mockImplementation((state, title, url) => {
+          entries[entries.length - 1] = url
+          setLocation(url)
+        })
+    })
+
+    afterEach(() => {
+      pushState.mockRestore()
+      replaceState.mockRestore()
+    })
+
+    it('writes strings as-is and other values as JSON', () => {
+      setLocation('/list?appId=1#top')
+      const { result } = renderHook(
+        () => ({
+          tab: useAdvancedState('tab', { initial: 'all', persist: 'url' }),
+          page: useAdvancedState('page', {
+            initial: 1,
+            persist: 'url',
+            url: { param: 'p' }
+          })
+        }),
+        { wrapper: createWrapper() }
+      )
+      // Initial values are not added to the URL
+      expect(replaceState).not.toHaveBeenCalled()
+
+      act(() => {
+        result.current.tab[1]('open')
+      })
+      act(() => {
+        result.current.page[1](2)
+      })
+      expect(window.location.pathname).toBe('/list')
+      expect(window.location.search).toBe('?appId=1&tab=open&p=2')
+      expect(window.location.hash).toBe('#top')
+      expect(pushState).not.toHaveBeenCalled()
+
+      // Strings that read as other JSON values stay quoted
+      act(() => {
+        result.current.tab[1]('2')
+      })
+      expect(window.location.search).toBe('?appId=1&tab=%222%22&p=2')
+    })
+
+    it('loads values from the URL on the first render', () => {
+      setLocation('/?tab=open&page=3&ids=%5B1%2C2%5D')
+      const { result } = renderHook(
+        () => ({
+          tab: useAdvancedState('tab', { initial: 'all', persist: 'url' }),
+          page: useAdvancedState('page', { initial: 1, persist: 'url' }),
+          ids: useAdvancedState('ids', { initial: [], persist: 'url' })
+        }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current.tab[0]).toBe('open')
+      expect(result.current.page[0]).toBe(3)
+      expect(result.current.ids[0]).toEqual([1, 2])
+      expect(result.current.page[2].isCached).toBe(true)
+    })
+
+    it('pushes history entries and follows back/forward', () => {
+      const options = {
+        initial: 1,
+        persist: 'url',
+        notify: 'cross-component',
+        url: { history: 'push' }
+      }
+      const { result } = renderHook(
+        () => ({
+          pager: useAdvancedState('page', options),
+          summary: useAdvancedState('page', options)
+        }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current.pager[1](2)
+      })
+      act(() => {
+        result.current.pager[1](3)
+      })
+      expect(entries).toEqual(['/', '/?page=2', '/?page=3'])
+
+      act(() => goBack())
+      expect(result.current.pager[0]).toBe(2)
+      expect(result.current.summary[0]).toBe(2)
+
+      // Without the param, the value is the initial one again
+      act(() => goBack())
+      expect(result.current.pager[0]).toBe(1)
+      expect(result.current.summary[0]).toBe(1)
+    })
+
+    it('debounces URL writes, and drops them on navigation', () => {
+      jest.useFakeTimers()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('query', {
+            initial: '',
+            persist: 'url',
+            debounce: 300,
+            url: { param: 'q', history: 'push' }
+          }),
+        { wrapper: createWrapper() }
+      )
+      for (const text of ['a', 'ab', 'abc']) {
+        act(() => {
+          result.current[1](text)
+        })
+      }
+      expect(pushState).not.toHaveBeenCalled()
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      expect(entries).toEqual(['/', '/?q=abc'])
+
+      act(() => {
+        result.current[1]('abcd')
+      })
+      act(() => goBack())
+      act(() => {
+        jest.advanceTimersByTime(300)
+      })
+      expect(entries).toEqual(['/'])
+      expect(result.current[0]).toBe('')
+    })
+
+    it('does not change the scope of other keys', () => {
+      setLocation('/list')
+      const { result } = renderHook(
+        () => ({
+          draft: useAdvancedState('draft', {
+            initial: '',
+            persist: 'local',
+            scopeByUrlParam: 'doc',
+            missingScope: 'isolate'
+          }),
+          sort: useAdvancedState('sort', { initial: 'name', persist: 'url' })
+        }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current.draft[1]('notes')
+      })
+      act(() => {
+        result.current.sort[1]('date')
+      })
+      expect(window.location.search).toBe('?sort=date')
+      expect(result.current.draft[0]).toBe('notes')
+
+      act(() => {
+        result.current.draft[1]('more notes')
+      })
+      expect(localStorageMock.getItem('testApp:/list:draft')).toBe(
+        '"more notes"'
+      )
+      expect(localStorageMock.getItem('testApp:/list?sort=date:draft')).toBe(
+        null
+      )
+    })
+  })
+
+  describe('Custom Storage Adapters', () => {
+    it('reads and writes through a synchronous adapter object', () => {
+      const map = new Map([['testApp:custom', 'stored']])
+      const adapter = createMemoryAdapter(map)
+      const { result } = renderHook(
+        () => useAdvancedState('custom', { initial: 'x', persist: adapter }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('stored')
+      expect(result.current[2].isCached).toBe(true)
+      expect(result.current[2].isInitializing).toBe(false)
+
+      act(() => {
+        result.current[1]('updated')
+      })
+      expect(map.get('testApp:custom')).toBe('updated')
+
+      act(() => {
+        result.current[1](undefined)
+      })
+      expect(map.has('testApp:custom')).toBe(false)
+    })
+
+    it('loads asynchronously from an adapter flagged as async', async () => {
+      const adapter = {
+        async: true,
+        get: jest.fn(async () => '{"from":"bridge"}'),
+        set: jest.fn(async () => {}),
+        remove: jest.fn(async () => {})
+      }
+      const { result } = renderHook(
+        () => useAdvancedState('bridged', { initial: null, persist: adapter }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[2].isInitializing).toBe(true)
+
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+      expect(result.current[0]).toEqual({ from: 'bridge' })
+
+      act(() => {
+        result.current[1]({ from: 'app' })
+      })
+      await waitFor(() => {
+        expect(adapter.set).toHaveBeenCalledWith(
+          'testApp:bridged',
+          '{"from":"app"}'
+        )
+      })
+    })
+
+    it('keeps the first of adapters created inline on every render', async () => {
+      const get = jest.fn(async () => '"from bridge"')
+      const onError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('bridged', {
+            initial: null,
+            persist: {
+              async: true,
+              get,
+              set: async () => {},
+              remove: async () => {}
+            }
+          }),
+        { wrapper: createWrapper({ onError }) }
+      )
+      await waitFor(() => {
+        expect(result.current[0]).toBe('from bridge')
+      })
+      await waitFor(() => expect(onError).toHaveBeenCalled())
+      expect(get).toHaveBeenCalledTimes(1)
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'INVALID_CONFIG', key: 'bridged' })
+      )
+    })
+
+    it('syncs across subscribers of the same adapter', () => {
+      const adapter = createMemoryAdapter()
+      const options = { initial: 'A', persist: adapter, notify: 'cross-tab' }
+      const { result: hookA } = renderHook(
+        () => useAdvancedState('memShared', options),
+        { wrapper: createWrapper() }
+      )
+      const { result: hookB } = renderHook(
+        () => useAdvancedState('memShared', options),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        hookA.current[1]('B')
+      })
+      expect(hookB.current[0]).toBe('B')
+    })
+
+    it('pre-warms adapters configured through provider defaults', () => {
+      const map = new Map()
+      const defaults = [
+        { key: 'warm', initial: 1, persist: createMemoryAdapter(map) }
+      ]
+      render(
+        <AdvancedStateProvider prefix='testApp' defaults={defaults}>
+          {null}
+        </AdvancedStateProvider>
+      )
+      expect(map.get('testApp:warm')).toBe(1)
+    })
+  })
+
+  describe('Serialization', () => {
+    it('round-trips rich types through the built-in serializer', () => {
+      const value = {
+        when: new Date('2024-01-02T03:04:05.000Z'),
+        lookup: new Map([['a', new Set([1, 2])]]),
+        big: 12345678901234567890n,
+        sparse: [1, undefined, 3],
+        bytes: new Uint8Array([1, 2, 255])
+      }
+      const revived = richSerializer.deserialize(
+        richSerializer.serialize(value)
+      )
+      expect(revived.when).toBeInstanceOf(Date)
+      expect(revived.when.getTime()).toBe(value.when.getTime())
+      expect(revived.lookup).toEqual(new Map([['a', new Set([1, 2])]]))
+      expect(revived.big).toBe(12345678901234567890n)
+      expect(revived.sparse).toStrictEqual([1, undefined, 3])
+      expect(revived.bytes).toEqual(new Uint8Array([1, 2, 255]))
+    })
+
+    it('persists and loads values with a custom serializer', () => {
+      const date = new Date('2024-05-06T00:00:00.000Z')
+      const { result, unmount } = renderHook(
+        () =>
+          useAdvancedState('due', {
+            initial: null,
+            persist: 'local',
+            ...richSerializer
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1](date)
+      })
+      unmount()
+
+      const { result: reloaded } = renderHook(
+        () =>
+          useAdvancedState('due', {
+            initial: null,
+            persist: 'local',
+            ...richSerializer
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(reloaded.current[0]).toBeInstanceOf(Date)
+      expect(reloaded.current[0].getTime()).toBe(date.getTime())
+    })
+
+    it('uses serializers configured through provider defaults, also for cross-tab events', () => {
+      const serialize = jest.fn(value => `v:${JSON.stringify(value)}`)
+      const deserialize = jest.fn(text => JSON.parse(text.slice(2)))
+      const defaults = [
+        {
+          key: 'tags',
+          initial: ['a'],
+          persist: 'local',
+          serialize,
+          deserialize
+        }
+      ]
+      const { result } = renderHook(
+        () => useAdvancedState('tags', { notify: 'cross-tab' }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        'testApp:tags',
+        'v:["a"]'
+      )
+
+      act(() => {
+        const event = new Event('storage')
+        event.key = 'testApp:tags'
+        event.newValue = 'v:["b","c"]'
+        event.storageArea = sessionStorageMock
+        window.dispatchEvent(event)
+      })
+      expect(deserialize).toHaveBeenCalledWith('v:["b","c"]')
+      expect(result.current[0]).toEqual(['b', 'c'])
+    })
+  })
+
+  describe('Versioning & Migrations', () => {
+    it('records the version in the stored envelope', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('versioned', {
+            initial: 0,
+            persist: 'local',
+            version: 3
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1](1)
+      })
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:versioned',
+        '{"__adv":{"v":3},"payload":"1"}'
+      )
+      expect(result.current[0]).toBe(1)
+    })
+
+    it('migrates legacy Web Storage values once and writes them back', () => {
+      localStorageMock.setItem('testApp:profile', '{"name":"Ada"}')
+      const migrate = jest.fn((old, fromVersion) => ({
+        fullName: old.name,
+        fromVersion
+      }))
+      const options = { initial: null, persist: 'local', version: 1, migrate }
+
+      const { result, unmount } = renderHook(
+        () => useAdvancedState('profile', options),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toEqual({ fullName: 'Ada', fromVersion: 0 })
+      expect(migrate).toHaveBeenCalledWith({ name: 'Ada' }, 0)
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:profile',
+        '{"__adv":{"v":1},"payload":"{\\"fullName\\":\\"Ada\\",\\"fromVersion\\":0}"}'
+      )
+      unmount()
+
+      const { result: reloaded } = renderHook(
+        () => useAdvancedState('profile', options),
+        { wrapper: createWrapper() }
+      )
+      expect(reloaded.current[0]).toEqual({ fullName: 'Ada', fromVersion: 0 })
+      expect(migrate).toHaveBeenCalledTimes(1)
+    })
+
+    it('migrates IndexedDB values before they reach React', async () => {
+      await mockIdb.set('testApp:layout', { __adv: { v: 1 }, payload: [1, 2] })
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('layout', {
+            initial: null,
+            persist: 'localdb',
+            version: 2,
+            migrate: old => ({ columns: old })
+          }),
+        { wrapper: createWrapper() }
+      )
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+      expect(result.current[0]).toEqual({ columns: [1, 2] })
+      expect(mockIdb.set).toHaveBeenLastCalledWith('testApp:layout', {
+        __adv: { v: 2 },
+        payload: { columns: [1, 2] }
+      })
+    })
+
+    it('falls back to the initial value when no migration is available', () => {
+      localStorageMock.setItem('testApp:stale', '"old-shape"')
+      const consoleErrorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {})
+
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('stale', {
+            initial: 'fresh',
+            persist: 'local',
+            version: 2
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('fresh')
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to parse stored value for stale'),
+        expect.any(Error)
+      )
+      consoleErrorSpy.mockRestore()
+    })
+  })
+
+  describe('Validation', () => {
+    it('discards invalid stored values, removes them and reports them', () => {
+      localStorageMock.setItem('testApp:page', '"not-a-number"')
+      const onValidationError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('page', {
+            initial: 1,
+            persist: 'local',
+            validate: value => typeof value === 'number',
+            onValidationError
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe(1)
+      expect(result.current[2].isCached).toBe(false)
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith('testApp:page')
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:page',
+        '1'
+      )
+      expect(onValidationError).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'ValidationError' }),
+        { key: 'page', storageKey: 'testApp:page', value: 'not-a-number' }
+      )
+    })
+
+    it('accepts schemas with a parse method and uses the parsed value', () => {
+      localStorageMock.setItem('testApp:size', '"12"')
+      const schema = {
+        parse: value => {
+          const size = Number(value)
+          if (isNaN(size)) throw new Error('Expected a number')
+          return size
+        }
+      }
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('size', {
+            initial: 10,
+            persist: 'local',
+            validate: schema
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe(12)
+    })
+
+    it('discards invalid IndexedDB values after loading', async () => {
+      await mockIdb.set('testApp:rows', 'corrupted')
+      const onValidationError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('rows', {
+            initial: [],
+            persist: 'localdb',
+            validate: Array.isArray,
+            onValidationError
+          }),
+        { wrapper: createWrapper() }
+      )
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+      expect(result.current[0]).toEqual([])
+      expect(onValidationError).toHaveBeenCalledTimes(1)
+      await waitFor(() => {
+        expect(mockIdb.del).toHaveBeenCalledWith('testApp:rows')
+      })
+    })
+
+    it('ignores invalid values received from other tabs', () => {
+      const onValidationError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('mode', {
+            initial: 'view',
+            persist: 'local',
+            notify: 'cross-tab',
+            validate: value => value === 'view' || value === 'edit',
+            onValidationError
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        const event = new Event('storage')
+        event.key = 'testApp:mode'
+        event.newValue = '"delete-everything"'
+        event.storageArea = sessionStorageMock
+        window.dispatchEvent(event)
+      })
+      expect(result.current[0]).toBe('view')
+      expect(onValidationError).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Expiry (TTL)', () => {
+    let nowSpy
+
+    beforeEach(() => {
+      nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    })
+
+    afterEach(() => {
+      nowSpy.mockRestore()
+    })
+
+    it('stamps written values with a timestamp and expiry', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('results', {
+            initial: [],
+            persist: 'local',
+            ttl: 5000
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1](['a'])
+      })
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:results',
+        '{"__adv":{"ts":1000,"exp":6000},"payload":"[\\"a\\"]"}'
+      )
+    })
+
+    it('treats expired Web Storage values as missing and purges them', () => {
+      localStorageMock.setItem(
+        'testApp:banner',
+        '{"__adv":{"ts":0,"exp":500},"payload":"true"}'
+      )
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('banner', {
+            initial: false,
+            persist: 'local',
+            expiresAt: 9000
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe(false)
+      expect(result.current[2].isCached).toBe(false)
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith(
+        'testApp:banner'
+      )
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:banner',
+        '{"__adv":{"ts":1000,"exp":9000},"payload":"false"}'
+      )
+    })
+
+    it('keeps values that have not expired yet', () => {
+      localStorageMock.setItem(
+        'testApp:fresh',
+        '{"__adv":{"ts":0,"exp":2000},"payload":"\\"cached\\""}'
+      )
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('fresh', {
+            initial: 'none',
+            persist: 'local',
+            ttl: 2000
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[0]).toBe('cached')
+    })
+
+    it('treats expired IndexedDB values as missing and purges them', async () => {
+      await mockIdb.set('testApp:cachedList', {
+        __adv: { ts: 0, exp: 999 },
+        payload: [1, 2, 3]
+      })
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('cachedList', {
+            initial: null,
+            persist: 'localdb',
+            ttl: 60000
+          }),
+        { wrapper: createWrapper() }
+      )
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+      expect(result.current[0]).toBeNull()
+      expect(mockIdb.del).toHaveBeenCalledWith('testApp:cachedList')
+    })
+
+    it('purges expired values of provider defaults on mount', () => {
+      sessionStorageMock.setItem(
+        'testApp:hint',
+        '{"__adv":{"ts":0,"exp":10},"payload":"\\"old\\""}'
+      )
+      const defaults = [{ key: 'hint', persist: 'session', ttl: 100 }]
+      render(
+        <AdvancedStateProvider prefix='testApp' defaults={defaults}>
+          {null}
+        </AdvancedStateProvider>
+      )
+      expect(sessionStorageMock.removeItem).toHaveBeenCalledWith(
+        'testApp:hint'
+      )
+    })
+  })
+
+  describe('Render Optimization', () => {
+    it('does not cause extra renders when setting the exact same primitive value', () => {
+      const renderTracker = jest.fn()
+      const { result } = renderHook(
+        () => {
+          renderTracker()
+          return useAdvancedState('optimCount', { initial: 1 })
+        },
+        { wrapper: createWrapper() }
+      )
+
+      expect(renderTracker).toHaveBeenCalledTimes(1)
+      act(() => {
+        result.current[1](2)
+      })
+      expect(renderTracker).toHaveBeenCalledTimes(2)
+      act(() => {
+        result.current[1](2)
+      })
+      expect(renderTracker).toHaveBeenCalledTimes(2)
+    })
+
+    it('does not re-render components listening to unrelated keys', () => {
+      const renderTrackerA = jest.fn()
+      const renderTrackerB = jest.fn()
+
+      const ComponentA = () => {
+        renderTrackerA()
+        const [, setA] = useAdvancedState('keyA', {
+          initial: 'apple',
+          notify: 'cross-component'
+        })
+        return <button onClick={() => setA('apricot')}>Update A</button>
+      }
+
+      const ComponentB = () => {
+        renderTrackerB()
+        useAdvancedState('keyB', {
+          initial: 'banana',
           notify: 'cross-component'
         })
-        return <button onClick={() => setA('apricot')}>Update A</button>
+        return null
+      }
+
+      render(
+        <AdvancedStateProvider prefix='testApp'>
+          <ComponentA />
+          <ComponentB />
+        </AdvancedStateProvider>
+      )
+
+      expect(renderTrackerA).toHaveBeenCalledTimes(1)
+      expect(renderTrackerB).toHaveBeenCalledTimes(1)
+      act(() => {
+        screen.getByText('Update A').click()
+      })
+      expect(renderTrackerA).toHaveBeenCalledTimes(2)
+      expect(renderTrackerB).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Store Subscriptions', () => {
+    it('only notifies subscribers of the changed key', () => {
+      let store
+      const Grab = () => {
+        store = React.useContext(AdvancedStateContext).store
+        return null
+      }
+      render(
+        <AdvancedStateProvider prefix='testApp'>
+          <Grab />
+        </AdvancedStateProvider>
+      )
+      const onA = jest.fn()
+      const onB = jest.fn()
+      const unsubscribeA = store.subscribe('a', onA)
+      store.subscribe('b', onB)
+
+      store.setState('a', 1)
+      expect(onA).toHaveBeenCalledWith(1)
+      expect(onB).not.toHaveBeenCalled()
+
+      store.setState('a', 1)
+      expect(onA).toHaveBeenCalledTimes(1)
+
+      unsubscribeA()
+      store.setState('a', 2)
+      expect(onA).toHaveBeenCalledTimes(1)
+    })
+
+    it('mounts shared hooks with the newest value while a debounced write is pending', () => {
+      jest.useFakeTimers()
+      localStorageMock.setItem('testApp:query', '"stored"')
+      const options = {
+        persist: 'local',
+        notify: 'cross-component',
+        debounce: 500
+      }
+      let lateValue = null
+      const Late = () => {
+        const [query] = useAdvancedState('query', options)
+        lateValue = query
+        return null
+      }
+      const Input = () => {
+        const [query, setQuery] = useAdvancedState('query', options)
+        const [showLate, setShowLate] = React.useState(false)
+        return (
+          <>
+            <span>{query}</span>
+            <button onClick={() => setQuery('typed')}>Type</button>
+            <button onClick={() => setShowLate(true)}>Show</button>
+            {showLate && <Late />}
+          </>
+        )
+      }
+      render(
+        <AdvancedStateProvider prefix='testApp'>
+          <Input />
+        </AdvancedStateProvider>
+      )
+      expect(screen.getByText('stored')).toBeInTheDocument()
+
+      act(() => {
+        screen.getByText('Type').click()
+      })
+      // The debounced write has not reached storage yet
+      expect(localStorageMock.getItem('testApp:query')).toBe('"stored"')
+
+      act(() => {
+        screen.getByText('Show').click()
+      })
+      expect(lateValue).toBe('typed')
+    })
+  })
+
+  describe('Selectors', () => {
+    const settingsDefaults = [
+      {
+        key: 'settings',
+        initial: { theme: 'light', fontSize: 14 },
+        persist: 'local',
+        notify: 'cross-component'
+      }
+    ]
+
+    it('re-renders only when the selected slice changes', () => {
+      const themeRenders = jest.fn()
+      const ThemeLabel = () => {
+        const theme = useAdvancedStateSelector('settings', s => s.theme)
+        themeRenders(theme)
+        return <span>{theme}</span>
+      }
+      const Editor = () => {
+        const [settings, setSettings] = useAdvancedState('settings')
+        return (
+          <>
+            <button
+              onClick={() => setSettings({ ...settings, fontSize: 16 })}
+            >
+              Font
+            </button>
+            <button onClick={() => setSettings({ ...settings, theme: 'dark' })}>
+              Theme
+            </button>
+          </>
+        )
+      }
+      render(
+        <AdvancedStateProvider prefix='testApp' defaults={settingsDefaults}>
+          <ThemeLabel />
+          <Editor />
+        </AdvancedStateProvider>
+      )
+      expect(screen.getByText('light')).toBeInTheDocument()
+      const rendersBefore = themeRenders.mock.calls.length
+
+      act(() => {
+        screen.getByText('Font').click()
+      })
+      expect(themeRenders).toHaveBeenCalledTimes(rendersBefore)
+
+      act(() => {
+        screen.getByText('Theme').click()
+      })
+      expect(screen.getByText('dark')).toBeInTheDocument()
+      expect(themeRenders).toHaveBeenCalledTimes(rendersBefore + 1)
+    })
+
+    it('reads persisted values of defaults without a mounted writer hook', () => {
+      localStorageMock.setItem(
+        'testApp:settings',
+        '{"theme":"dark","fontSize":12}'
+      )
+      const { result } = renderHook(
+        () => useAdvancedStateSelector('settings', s => s.fontSize),
+        { wrapper: createWrapper({ defaults: settingsDefaults }) }
+      )
+      expect(result.current).toBe(12)
+    })
+
+    it('loads asynchronous defaults once they resolve', async () => {
+      await mockIdb.set('testApp:profile', { name: 'Bob' })
+      const { result } = renderHook(
+        () => useAdvancedStateSelector('profile', p => p.name),
+        {
+          wrapper: createWrapper({
+            defaults: [
+              { key: 'profile', initial: { name: 'Guest' }, persist: 'localdb' }
+            ]
+          })
+        }
+      )
+      expect(result.current).toBe('Guest')
+      await waitFor(() => {
+        expect(result.current).toBe('Bob')
+      })
+    })
+
+    it('keeps the previous selection while equalityFn reports no change', () => {
+      const shallowEqual = (a, b) =>
+        a.length === b.length && a.every((item, i) => item === b[i])
+      const { result } = renderHook(
+        () => {
+          const [, setPost] = useAdvancedState('post', {
+            initial: { title: 'A', tags: ['x'] },
+            notify: 'cross-component'
+          })
+          const tags = useAdvancedStateSelector(
+            'post',
+            post => post.tags.slice(),
+            shallowEqual
+          )
+          return { tags, setPost }
+        },
+        { wrapper: createWrapper() }
+      )
+      const firstTags = result.current.tags
+      expect(firstTags).toEqual(['x'])
+
+      act(() => {
+        result.current.setPost({ title: 'B', tags: ['x'] })
+      })
+      expect(result.current.tags).toBe(firstTags)
+
+      act(() => {
+        result.current.setPost({ title: 'B', tags: ['x', 'y'] })
+      })
+      expect(result.current.tags).toEqual(['x', 'y'])
+    })
+  })
+
+  describe('Imperative API', () => {
+    it('reads and writes persisted, scoped keys of a standalone store', () => {
+      window.location.search = '?appId=7'
+      localStorageMock.setItem('testApp:7:token', '"stored"')
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          { key: 'token', persist: 'local', scopeByUrlParam: 'appId' }
+        ]
+      })
+
+      expect(store.getState('token')).toBe('stored')
+
+      store.setState('token', prev => `${prev}-refreshed`)
+      expect(store.getState('token')).toBe('stored-refreshed')
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:7:token',
+        '"stored-refreshed"'
+      )
+    })
+
+    it('updates components of the provider it is bound to', () => {
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          {
+            key: 'status',
+            initial: 'idle',
+            persist: 'local',
+            notify: 'cross-component'
+          }
+        ]
+      })
+      const Status = () => {
+        const [status] = useAdvancedState('status')
+        return <span>{status}</span>
+      }
+      render(
+        <AdvancedStateProvider store={store}>
+          <Status />
+        </AdvancedStateProvider>
+      )
+      expect(screen.getByText('idle')).toBeInTheDocument()
+
+      const onStatus = jest.fn()
+      const unsubscribe = store.subscribe('status', onStatus)
+      act(() => {
+        store.setState('status', 'connected')
+      })
+      expect(screen.getByText('connected')).toBeInTheDocument()
+      expect(onStatus).toHaveBeenCalledWith('connected')
+      expect(localStorageMock.getItem('testApp:status')).toBe('"connected"')
+      unsubscribe()
+    })
+
+    it('updates hooks that keep their own copy of the value', () => {
+      const defaults = [
+        { key: 'count', initial: 0, persist: 'local' },
+        { key: 'draft', initial: '' }
+      ]
+      const { result } = renderHook(
+        () => ({
+          api: useAdvancedStore(),
+          count: useAdvancedState('count'),
+          draft: useAdvancedState('draft')
+        }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      act(() => {
+        result.current.api.setState('count', 5)
+        result.current.api.setState('draft', 'hello')
+      })
+      expect(result.current.count[0]).toBe(5)
+      expect(result.current.draft[0]).toBe('hello')
+      expect(localStorageMock.getItem('testApp:count')).toBe('5')
+
+      act(() => {
+        result.current.api.setState('count', n => n + 1)
+      })
+      expect(result.current.count[0]).toBe(6)
+    })
+
+    it('shares debounced writes with the hooks of the key', () => {
+      jest.useFakeTimers()
+      const defaults = [
+        {
+          key: 'draft',
+          initial: '',
+          persist: 'local',
+          notify: 'cross-component',
+          debounce: 500
+        }
+      ]
+      const { result } = renderHook(
+        () => ({ api: useAdvancedStore(), hook: useAdvancedState('draft') }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      act(() => {
+        result.current.hook[1]('from hook')
+        result.current.api.setState('draft', 'from api')
+      })
+      expect(result.current.hook[0]).toBe('from api')
+      expect(localStorageMock.setItem).not.toHaveBeenCalledWith(
+        'testApp:draft',
+        '"from hook"'
+      )
+
+      act(() => {
+        jest.advanceTimersByTime(500)
+      })
+      expect(localStorageMock.setItem).not.toHaveBeenCalledWith(
+        'testApp:draft',
+        '"from hook"'
+      )
+      expect(localStorageMock.getItem('testApp:draft')).toBe('"from api"')
+    })
+
+    it('follows the cross-tab rules of the key', () => {
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [{ key: 'cart', persist: 'local', notify: 'cross-tab' }]
+      })
+      const onCart = jest.fn()
+      const unsubscribe = store.subscribe('cart', onCart)
+
+      store.setState('cart', ['apple'])
+      // The write is announced to other tabs through the conduit storage
+      expect(sessionStorageMock.setItem).toHaveBeenCalledWith(
+        'testApp:cart',
+        '["apple"]'
+      )
+
+      const event = new Event('storage')
+      event.key = 'testApp:cart'
+      event.newValue = '["apple","pear"]'
+      event.storageArea = sessionStorageMock
+      window.dispatchEvent(event)
+      expect(onCart).toHaveBeenLastCalledWith(['apple', 'pear'])
+      expect(store.getState('cart')).toEqual(['apple', 'pear'])
+
+      unsubscribe()
+    })
+  })
+
+  describe('Scope Management', () => {
+    it('lists the scopes a key has a value in', async () => {
+      localStorageMock.setItem('testApp:7:draft', '"a"')
+      localStorageMock.setItem('testApp:default-param:draft', '"b"')
+      localStorageMock.setItem('testApp:7:title', '"c"')
+      localStorageMock.setItem('testApp:draft', '"unscoped"')
+      await mockIdb.set('testApp:3:rows', [])
+      await mockIdb.set('testApp:1:rows', [])
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          { key: 'draft', persist: 'local', scopeByUrlParam: 'docId' },
+          { key: 'rows', persist: 'localdb', scopeByUrlParam: 'docId' }
+        ]
+      })
+
+      expect(await store.listScopes('draft')).toEqual(['7', 'default-param'])
+      expect(await store.listScopes('rows')).toEqual(['1', '3'])
+      expect(mockIdb.keys).toHaveBeenCalledWith('testApp:')
+    })
+
+    it('moves a value to another scope and updates its mounted hooks', async () => {
+      window.location.search = '?docId=42'
+      localStorageMock.setItem('testApp:default-param:draft', '"new doc"')
+      const defaults = [
+        {
+          key: 'draft',
+          initial: '',
+          persist: 'local',
+          scopeByUrlParam: 'docId'
+        }
+      ]
+      const { result } = renderHook(
+        () => ({ api: useAdvancedStore(), hook: useAdvancedState('draft') }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      expect(result.current.hook[0]).toBe('')
+
+      let isMoved
+      await act(async () => {
+        isMoved = await result.current.api.moveScope(
+          'draft',
+          'default-param',
+          '42'
+        )
+      })
+      expect(isMoved).toBe(true)
+      expect(result.current.hook[0]).toBe('new doc')
+      expect(localStorageMock.getItem('testApp:42:draft')).toBe('"new doc"')
+      expect(localStorageMock.getItem('testApp:default-param:draft')).toBeNull()
+    })
+
+    it('copies the tab values of sessiondb keys', async () => {
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          { key: 'form', persist: 'sessiondb', scopeByUrlParam: 'docId' }
+        ]
+      })
+      await store.setState('form', { name: 'Ada' })
+      expect(await store.copyScope('form', 'default-param', 'copy')).toBe(true)
+
+      expect(await store.listScopes('form')).toEqual(['copy', 'default-param'])
+      const [copyKey] = mockIdb.set.mock.calls
+        .map(([storageKey]) => storageKey)
+        .filter(storageKey => storageKey.endsWith(':testApp:copy:form'))
+      expect(copyKey).toMatch(/^__sessiondb__:/)
+      expect(await mockIdb.get(copyKey)).toEqual({ name: 'Ada' })
+    })
+
+    it('resolves false when the source scope has no value', async () => {
+      localStorageMock.setItem('testApp:2:draft', '"kept"')
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          { key: 'draft', persist: 'local', scopeByUrlParam: 'docId' }
+        ]
+      })
+      expect(await store.copyScope('draft', '1', '2')).toBe(false)
+      expect(localStorageMock.getItem('testApp:2:draft')).toBe('"kept"')
+    })
+
+    it('clears the values of all keys in a scope across targets', async () => {
+      window.location.search = '?docId=9'
+      localStorageMock.setItem('testApp:9:title', '"Notes"')
+      localStorageMock.setItem('testApp:8:title', '"Other"')
+      sessionStorageMock.setItem('testApp:9:cursor', '12')
+      await mockIdb.set('testApp:9:rows', [1, 2])
+      const defaults = [
+        {
+          key: 'title',
+          initial: 'Untitled',
+          persist: 'local',
+          scopeByUrlParam: 'docId'
+        }
+      ]
+      const { result } = renderHook(
+        () => ({ api: useAdvancedStore(), hook: useAdvancedState('title') }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      expect(result.current.hook[0]).toBe('Notes')
+
+      await act(async () => {
+        await result.current.api.clearScope('9')
+      })
+      expect(result.current.hook[0]).toBe('Untitled')
+      expect(localStorageMock.getItem('testApp:9:title')).toBeNull()
+      expect(sessionStorageMock.getItem('testApp:9:cursor')).toBeNull()
+      expect(await mockIdb.get('testApp:9:rows')).toBeUndefined()
+      expect(localStorageMock.getItem('testApp:8:title')).toBe('"Other"')
+    })
+  })
+
+  describe('Cross-Tab Conflict Resolution', () => {
+    const readClock = storageKey =>
+      JSON.parse(localStorageMock.getItem(storageKey)).__adv.c
+
+    // Simulates a write of another tab, stamped with a clock relative to
+    // the clock of the local value
+    const receiveRemoteWrite = (storageKey, value, clock) => {
+      const event = new Event('storage')
+      event.key = storageKey
+      event.newValue = JSON.stringify({
+        __adv: { c: clock },
+        payload: JSON.stringify(value)
+      })
+      event.storageArea = sessionStorageMock
+      window.dispatchEvent(event)
+    }
+
+    const renderConflictHook = options =>
+      renderHook(
+        () =>
+          useAdvancedState('doc', {
+            initial: 'initial',
+            persist: 'local',
+            notify: 'cross-tab',
+            ...options
+          }),
+        { wrapper: createWrapper() }
+      )
+
+    it('reports an unknown strategy once and resolves by the newest write', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      try {
+        const onError = jest.fn()
+        const { result } = renderHook(
+          () =>
+            useAdvancedState('doc', {
+              initial: 'initial',
+              persist: 'local',
+              notify: 'cross-tab',
+              resolveConflict: 'newest'
+            }),
+          { wrapper: createWrapper({ onError }) }
+        )
+        act(() => {
+          result.current[1]('mine')
+        })
+        const localClock = readClock('testApp:doc')
+        act(() => {
+          receiveRemoteWrite('testApp:doc', 'stale', {
+            t: localClock.t - 10,
+            tab: 'other-tab'
+          })
+          receiveRemoteWrite('testApp:doc', 'theirs', {
+            t: localClock.t + 10,
+            tab: 'other-tab'
+          })
+        })
+        expect(result.current[0]).toBe('theirs')
+        await waitFor(() => expect(onError).toHaveBeenCalled())
+        expect(onError).toHaveBeenCalledTimes(1)
+        expect(onError).toHaveBeenCalledWith(
+          expect.objectContaining({ code: 'INVALID_CONFIG', key: 'doc' })
+        )
+        expect(warn).not.toHaveBeenCalled()
+      } finally {
+        warn.mockRestore()
+      }
+    })
+
+    it('stamps writes with a logical clock and the tab id', () => {
+      const { result } = renderConflictHook({
+        resolveConflict: 'last-writer-wins'
+      })
+      act(() => {
+        result.current[1]('mine')
+      })
+      const stored = JSON.parse(localStorageMock.getItem('testApp:doc'))
+      expect(stored.payload).toBe('"mine"')
+      expect(stored.__adv.c).toEqual({
+        t: expect.any(Number),
+        tab: sessionStorageMock.getItem('adv_state_session_id')
+      })
+    })
+
+    it('ignores older writes arriving out of order, and repairs storage', () => {
+      const { result } = renderConflictHook({
+        resolveConflict: 'last-writer-wins'
+      })
+      act(() => {
+        result.current[1]('newest')
+      })
+      const localClock = readClock('testApp:doc')
+
+      act(() => {
+        receiveRemoteWrite('testApp:doc', 'stale', {
+          t: localClock.t - 10,
+          tab: 'other-tab'
+        })
+      })
+      expect(result.current[0]).toBe('newest')
+      // The newer local value is written again, so other tabs converge
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith(
+        'testApp:doc',
+        expect.stringContaining('newest')
+      )
+
+      act(() => {
+        receiveRemoteWrite('testApp:doc', 'remote', {
+          t: localClock.t + 10,
+          tab: 'other-tab'
+        })
+      })
+      expect(result.current[0]).toBe('remote')
+    })
+
+    it('keeps pending local changes with keep-local', () => {
+      jest.useFakeTimers()
+      const { result } = renderConflictHook({
+        resolveConflict: 'keep-local',
+        debounce: 500
+      })
+      act(() => {
+        result.current[1]('typing')
+      })
+      const remoteClock = { t: Date.now() + 60000, tab: 'other-tab' }
+      act(() => {
+        receiveRemoteWrite('testApp:doc', 'remote', remoteClock)
+      })
+      expect(result.current[0]).toBe('typing')
+
+      act(() => {
+        jest.advanceTimersByTime(500)
+      })
+      // The pending write supersedes the remote write
+      expect(readClock('testApp:doc').t).toBeGreaterThan(remoteClock.t)
+    })
+
+    it('drops pending local changes that lose with last-writer-wins', () => {
+      jest.useFakeTimers()
+      const { result } = renderConflictHook({
+        resolveConflict: 'last-writer-wins',
+        debounce: 500
+      })
+      act(() => {
+        result.current[1]('typing')
+      })
+      act(() => {
+        receiveRemoteWrite('testApp:doc', 'remote', {
+          t: Date.now() + 60000,
+          tab: 'other-tab'
+        })
+      })
+      expect(result.current[0]).toBe('remote')
+
+      act(() => {
+        jest.advanceTimersByTime(500)
+      })
+      expect(localStorageMock.setItem).not.toHaveBeenCalledWith(
+        'testApp:doc',
+        expect.stringContaining('typing')
+      )
+    })
+
+    it('merges conflicting writes with a callback', () => {
+      const merge = jest.fn((local, remote) =>
+        [...new Set([...local, ...remote])].sort()
+      )
+      const { result } = renderConflictHook({
+        initial: [],
+        resolveConflict: merge
+      })
+      act(() => {
+        result.current[1](['b'])
+      })
+      const localClock = readClock('testApp:doc')
+
+      act(() => {
+        receiveRemoteWrite('testApp:doc', ['a'], {
+          t: localClock.t - 1,
+          tab: 'other-tab'
+        })
+      })
+      expect(merge).toHaveBeenCalledWith(
+        ['b'],
+        ['a'],
+        expect.objectContaining({
+          key: 'doc',
+          localClock,
+          remoteClock: { t: localClock.t - 1, tab: 'other-tab' }
+        })
+      )
+      expect(result.current[0]).toEqual(['a', 'b'])
+      // The merged value is written with a newer clock
+      expect(
+        JSON.parse(localStorageMock.getItem('testApp:doc')).payload
+      ).toBe('["a","b"]')
+      expect(readClock('testApp:doc').t).toBeGreaterThan(localClock.t)
+    })
+  })
+
+  describe('Leader Election', () => {
+    // Simulates another tab that leads until the returned function is called
+    const leadInOtherTab = () => {
+      let resign
+      navigator.locks.request(
+        'adv_state:__leader__:testApp',
+        () => new Promise(resolve => (resign = resolve))
+      )
+      return () => resign()
+    }
+
+    it('elects a single tab as leader', async () => {
+      const { result } = renderHook(() => useIsLeaderTab(), {
+        wrapper: createWrapper()
+      })
+      await waitFor(() => expect(result.current).toBe(true))
+      expect(mockIdb.sweep).toHaveBeenCalled()
+    })
+
+    it('runs sweeps and IDB pre-warming only once it takes over', async () => {
+      const resign = leadInOtherTab()
+      const defaults = [{ key: 'cart', initial: [], persist: 'localdb' }]
+      const { result } = renderHook(() => useIsLeaderTab(), {
+        wrapper: createWrapper({ defaults })
+      })
+      await act(async () => {})
+      expect(result.current).toBe(false)
+      expect(mockIdb.sweep).not.toHaveBeenCalled()
+      expect(await mockIdb.get('testApp:cart')).toBeUndefined()
+
+      await act(async () => resign())
+      await waitFor(() => expect(result.current).toBe(true))
+      expect(mockIdb.sweep).toHaveBeenCalledTimes(1)
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:cart')).toEqual([])
+      })
+    })
+
+    it('still sweeps its own sessionStorage while following', async () => {
+      leadInOtherTab()
+      const onSweep = jest.fn()
+      render(
+        <AdvancedStateProvider
+          prefix='testApp'
+          gc={{ targets: ['local', 'session', 'sessiondb'], onSweep }}
+        >
+          {null}
+        </AdvancedStateProvider>
+      )
+      await waitFor(() => expect(onSweep).toHaveBeenCalled())
+      expect(onSweep).toHaveBeenCalledTimes(1)
+      expect(mockIdb.sweep).not.toHaveBeenCalled()
+    })
+
+    it('lets every tab lead when disabled', async () => {
+      leadInOtherTab()
+      const { result } = renderHook(() => useIsLeaderTab(), {
+        wrapper: createWrapper({ leaderElection: false })
+      })
+      expect(result.current).toBe(true)
+      await waitFor(() => expect(mockIdb.sweep).toHaveBeenCalled())
+    })
+
+    it('falls back to a lease renewed on every heartbeat', async () => {
+      jest.useFakeTimers()
+      delete navigator.locks
+      // Another tab holds a lease that runs out in 2 seconds
+      localStorageMock.setItem(
+        'adv_state_leader:testApp',
+        JSON.stringify({ id: 'otherTab', expiresAt: Date.now() + 2000 })
+      )
+      const { result, unmount } = renderHook(() => useIsLeaderTab(), {
+        wrapper: createWrapper({
+          leaderElection: { heartbeatInterval: 500, timeout: 2000 }
+        })
+      })
+      expect(result.current).toBe(false)
+
+      await act(async () => {
+        jest.advanceTimersByTime(2500)
+      })
+      expect(result.current).toBe(true)
+      const lease = JSON.parse(
+        localStorageMock.getItem('adv_state_leader:testApp')
+      )
+      expect(lease.id).not.toBe('otherTab')
+      expect(lease.expiresAt).toBeGreaterThan(Date.now())
+
+      // Resigning hands over the lease right away
+      unmount()
+      expect(localStorageMock.getItem('adv_state_leader:testApp')).toBeNull()
+    })
+  })
+
+  describe('Cross-Tab Transport', () => {
+    const syncedOptions = {
+      initial: 'A',
+      persist: 'localdb',
+      notify: 'cross-tab'
+    }
+
+    it('multiplexes all keys of a provider over one channel', async () => {
+      const { result, unmount } = renderHook(
+        () => [
+          useAdvancedState('first', syncedOptions),
+          useAdvancedState('second', syncedOptions)
+        ],
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[0][1]('B')
+        result.current[1][1]('C')
+      })
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:second')).toBe('C')
+      })
+      expect(global.__BCCheck.adv_state_channel).toHaveLength(1)
+
+      unmount()
+      expect(global.__BCCheck.adv_state_channel).toHaveLength(0)
+    })
+
+    it('shares one storage listener between Web Storage keys', () => {
+      const addEventListener = jest.spyOn(window, 'addEventListener')
+      renderHook(
+        () => [
+          useAdvancedState('a', { persist: 'local', notify: 'cross-tab' }),
+          useAdvancedState('b', { persist: 'session', notify: 'cross-tab' })
+        ],
+        { wrapper: createWrapper() }
+      )
+      const storageListeners = addEventListener.mock.calls.filter(
+        ([type]) => type === 'storage'
+      )
+      expect(storageListeners).toHaveLength(1)
+      addEventListener.mockRestore()
+    })
+
+    it('only syncs tabs that use the same channel name', async () => {
+      const renderTab = channel =>
+        renderHook(() => useAdvancedState('sharedIdb', syncedOptions), {
+          wrapper: createWrapper({ channel })
+        })
+      const writer = renderTab('app-one')
+      const sameApp = renderTab('app-one')
+      const otherApp = renderTab('app-two')
+
+      act(() => {
+        writer.result.current[1]('B')
+      })
+      await waitFor(() => expect(sameApp.result.current[0]).toBe('B'))
+      expect(otherApp.result.current[0]).toBe('A')
+    })
+
+    it('falls back to storage events without BroadcastChannel', async () => {
+      delete global.BroadcastChannel
+      const { result } = renderHook(
+        () => useAdvancedState('sharedIdb', syncedOptions),
+        { wrapper: createWrapper() }
+      )
+
+      act(() => {
+        result.current[1](new Date(0))
+      })
+      await waitFor(() => {
+        expect(localStorageMock.setItem).toHaveBeenCalledWith(
+          'adv_state_channel:message',
+          expect.any(String)
+        )
+      })
+      const message = richSerializer.deserialize(
+        localStorageMock.setItem.mock.calls.find(
+          ([storageKey]) => storageKey === 'adv_state_channel:message'
+        )[1]
+      )
+      expect(message.key).toBe('testApp:sharedIdb')
+      expect(localStorageMock.getItem('adv_state_channel:message')).toBeNull()
+
+      act(() => {
+        const event = new Event('storage')
+        event.key = 'adv_state_channel:message'
+        event.newValue = richSerializer.serialize({
+          key: 'testApp:sharedIdb',
+          value: 'from-other-tab'
+        })
+        window.dispatchEvent(event)
+      })
+      expect(result.current[0]).toBe('from-other-tab')
+    })
+
+    it('relays through a SharedWorker where it is the best option', async () => {
+      delete global.BroadcastChannel
+      const port = { postMessage: jest.fn(), close: jest.fn() }
+      global.SharedWorker = jest.fn(() => ({ port }))
+      const { result, unmount } = renderHook(
+        () => useAdvancedState('sharedIdb', syncedOptions),
+        { wrapper: createWrapper({ channel: 'my-app' }) }
+      )
+      expect(global.SharedWorker).toHaveBeenCalledWith(
+        expect.stringMatching(/^data:text\/javascript,/),
+        { name: 'my-app' }
+      )
+
+      act(() => {
+        port.onmessage({ data: { key: 'testApp:sharedIdb', value: 'B' } })
+      })
+      expect(result.current[0]).toBe('B')
+
+      act(() => {
+        result.current[1]('C')
+      })
+      await waitFor(() => {
+        expect(port.postMessage).toHaveBeenCalledWith({
+          key: 'testApp:sharedIdb',
+          value: 'C'
+        })
+      })
+
+      unmount()
+      expect(port.postMessage).toHaveBeenLastCalledWith('__close__')
+      expect(port.close).toHaveBeenCalled()
+    })
+
+    it('reports a SharedWorker relay that fails to start', () => {
+      delete global.BroadcastChannel
+      global.SharedWorker = jest.fn(() => {
+        throw new Error('Blocked by CSP')
+      })
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      try {
+        const onError = jest.fn()
+        renderHook(() => useAdvancedState('sharedIdb', syncedOptions), {
+          wrapper: createWrapper({ onError })
+        })
+        expect(onError).toHaveBeenCalledWith(
+          expect.objectContaining({
+            code: 'SYNC_FAILED',
+            cause: expect.objectContaining({ message: 'Blocked by CSP' })
+          })
+        )
+        expect(warn).not.toHaveBeenCalled()
+      } finally {
+        warn.mockRestore()
+      }
+    })
+  })
+
+  describe('Compression', () => {
+    const rows = Array.from({ length: 200 }, (_, i) => ({
+      id: i,
+      label: `Row ${i}`,
+      visible: true
+    }))
+
+    it('compresses Web Storage values and loads them synchronously', () => {
+      const options = { initial: [], persist: 'local', compress: true }
+      const first = renderHook(() => useAdvancedState('rows', options), {
+        wrapper: createWrapper()
+      })
+      act(() => {
+        first.result.current[1](rows)
+      })
+
+      const stored = JSON.parse(localStorageMock.getItem('testApp:rows'))
+      expect(stored.__adv).toEqual({ z: 'lz' })
+      expect(stored.payload.length).toBeLessThan(JSON.stringify(rows).length)
+
+      const second = renderHook(() => useAdvancedState('rows', options), {
+        wrapper: createWrapper()
+      })
+      expect(second.result.current[0]).toEqual(rows)
+      expect(second.result.current[2].isInitializing).toBe(false)
+      const size = second.result.current[2].getSize()
+      expect(size.raw).toBe(JSON.stringify(rows).length * 2)
+      expect(size.stored).toBeLessThan(size.raw)
+    })
+
+    it('only compresses values above the threshold', () => {
+      const options = {
+        initial: null,
+        persist: 'local',
+        compress: { threshold: 1024 }
+      }
+      const { result } = renderHook(
+        () => useAdvancedState('layout', options),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]({ columns: 3 })
+      })
+      expect(localStorageMock.getItem('testApp:layout')).toBe('{"columns":3}')
+      expect(result.current[2].getSize()).toEqual({ raw: 26, stored: 26 })
+
+      act(() => {
+        result.current[1](rows)
+      })
+      const stored = JSON.parse(localStorageMock.getItem('testApp:layout'))
+      expect(stored.__adv).toEqual({ z: 'lz' })
+      const size = result.current[2].getSize()
+      expect(size.stored).toBeLessThan(size.raw)
+    })
+
+    it('gzips IndexedDB values', async () => {
+      const value = { rows, updatedAt: new Date(0) }
+      const options = { initial: null, persist: 'localdb', compress: true }
+      const first = renderHook(() => useAdvancedState('table', options), {
+        wrapper: createWrapper()
+      })
+      act(() => {
+        first.result.current[1](value)
+      })
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:table')).toBeDefined()
+      })
+      const stored = await mockIdb.get('testApp:table')
+      expect(stored.__adv).toEqual({ z: 'gzip' })
+      expect(stored.payload).toBeInstanceOf(Uint8Array)
+
+      const second = renderHook(() => useAdvancedState('table', options), {
+        wrapper: createWrapper()
+      })
+      await waitFor(() => {
+        expect(second.result.current[0]).toEqual(value)
+      })
+      const size = second.result.current[2].getSize()
+      expect(size.stored).toBe(stored.payload.length)
+      expect(size.stored).toBeLessThan(size.raw)
+    })
+
+    it('decompresses values from cross-tab storage events', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('rows', {
+            initial: [],
+            persist: 'local',
+            notify: 'cross-tab',
+            compress: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        const event = new Event('storage')
+        event.key = 'testApp:rows'
+        event.newValue = JSON.stringify({
+          __adv: { z: 'lz' },
+          payload: compressText(JSON.stringify(rows))
+        })
+        event.storageArea = sessionStorageMock
+        window.dispatchEvent(event)
+      })
+      expect(result.current[0]).toEqual(rows)
+    })
+
+    it('compresses before encrypting', async () => {
+      const key = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )
+      const options = {
+        initial: null,
+        persist: 'localdb',
+        compress: true,
+        encrypt: true
+      }
+      const first = renderHook(() => useAdvancedState('secrets', options), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      act(() => {
+        first.result.current[1](rows)
+      })
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:secrets')).toBeDefined()
+      })
+      const stored = await mockIdb.get('testApp:secrets')
+      expect(stored.__adv).toEqual({ z: 'gzip', e: 2 })
+      expect(stored.payload.length).toBeLessThan(JSON.stringify(rows).length)
+
+      const second = renderHook(() => useAdvancedState('secrets', options), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      await waitFor(() => {
+        expect(second.result.current[0]).toEqual(rows)
+      })
+    })
+  })
+
+  describe('Encryption at Rest', () => {
+    let key
+    beforeAll(async () => {
+      key = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )
+    })
+
+    const tokenOptions = { initial: 'none', persist: 'local', encrypt: true }
+
+    it('stores encrypted values and loads them asynchronously', async () => {
+      const first = renderHook(() => useAdvancedState('token', tokenOptions), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      await waitFor(() =>
+        expect(first.result.current[2].isInitializing).toBe(false)
+      )
+      act(() => {
+        first.result.current[1]('secret-token')
+      })
+      await waitFor(() => {
+        expect(localStorageMock.getItem('testApp:token')).not.toBeNull()
+      })
+      const stored = localStorageMock.getItem('testApp:token')
+      expect(stored).not.toContain('secret-token')
+      expect(JSON.parse(stored).__adv).toEqual({ e: 1 })
+
+      // A reload reads the value through the isInitializing flow
+      const second = renderHook(
+        () => useAdvancedState('token', tokenOptions),
+        { wrapper: createWrapper({ encryptionKey: key }) }
+      )
+      expect(second.result.current[0]).toBe('none')
+      expect(second.result.current[2].isInitializing).toBe(true)
+      await waitFor(() => {
+        expect(second.result.current[0]).toBe('secret-token')
+      })
+      expect(second.result.current[2].isCached).toBe(true)
+    })
+
+    it('encrypts structured values in IndexedDB', async () => {
+      const encryptionKey = jest.fn(async () => key)
+      const options = { initial: null, persist: 'localdb', encrypt: true }
+      const { result } = renderHook(
+        () => [
+          useAdvancedState('profile', options),
+          useAdvancedState('visits', options)
+        ],
+        { wrapper: createWrapper({ encryptionKey }) }
+      )
+      act(() => {
+        result.current[0][1]({ name: 'Ada', since: new Date(0) })
+        result.current[1][1](new Set([1, 2]))
+      })
+      await waitFor(async () => {
+        expect(await mockIdb.get('testApp:visits')).toBeDefined()
+      })
+      const stored = await mockIdb.get('testApp:profile')
+      expect(stored.__adv).toEqual({ e: 1 })
+      expect(stored.payload).toBeInstanceOf(Uint8Array)
+      // The key provider runs once for all keys
+      expect(encryptionKey).toHaveBeenCalledTimes(1)
+
+      const reloaded = renderHook(
+        () => useAdvancedState('profile', options),
+        { wrapper: createWrapper({ encryptionKey }) }
+      )
+      await waitFor(() => {
+        expect(reloaded.result.current[0]).toEqual({
+          name: 'Ada',
+          since: new Date(0)
+        })
+      })
+    })
+
+    it('falls back to the initial value after a key rotation', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const writer = renderHook(() => useAdvancedState('token', tokenOptions), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      act(() => {
+        writer.result.current[1]('secret-token')
+      })
+      await waitFor(() => {
+        expect(localStorageMock.getItem('testApp:token')).not.toBeNull()
+      })
+
+      const rotatedKey = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )
+      const { result } = renderHook(
+        () => useAdvancedState('token', tokenOptions),
+        { wrapper: createWrapper({ encryptionKey: rotatedKey }) }
+      )
+      await waitFor(() => {
+        expect(result.current[2].isInitializing).toBe(false)
+      })
+      expect(result.current[0]).toBe('none')
+      expect(result.current[2].isCached).toBe(false)
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to decrypt testApp:token'),
+        expect.anything()
+      )
+      warn.mockRestore()
+    })
+
+    it('reports decryption failures as errors of the key', async () => {
+      const writer = renderHook(() => useAdvancedState('token', tokenOptions), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      act(() => {
+        writer.result.current[1]('secret-token')
+      })
+      await waitFor(() => {
+        expect(localStorageMock.getItem('testApp:token')).not.toBeNull()
+      })
+
+      const rotatedKey = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )
+      const onError = jest.fn()
+      const onKeyError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('token', { ...tokenOptions, onError: onKeyError }),
+        { wrapper: createWrapper({ encryptionKey: rotatedKey, onError }) }
+      )
+      await waitFor(() => {
+        expect(result.current[2].error).not.toBeNull()
+      })
+      expect(result.current[2].error).toMatchObject({
+        code: 'DECRYPT_FAILED',
+        key: 'token',
+        storageKey: 'testApp:token',
+        persist: 'local'
+      })
+      expect(onKeyError).toHaveBeenCalledTimes(1)
+      expect(onKeyError.mock.calls[0][0].key).toBe('token')
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(result.current[0]).toBe('none')
+    })
+
+    it('decrypts values received from other tabs', async () => {
+      const postMessage = jest.spyOn(
+        MockBroadcastChannel.prototype,
+        'postMessage'
+      )
+      const options = {
+        initial: '',
+        persist: 'localdb',
+        notify: 'cross-tab',
+        encrypt: true
+      }
+      const tabA = renderHook(() => useAdvancedState('note', options), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      const tabB = renderHook(() => useAdvancedState('note', options), {
+        wrapper: createWrapper({ encryptionKey: key })
+      })
+      await waitFor(() => {
+        expect(tabB.result.current[2].isInitializing).toBe(false)
+      })
+
+      act(() => {
+        tabA.result.current[1]('meet at noon')
+      })
+      await waitFor(() => {
+        expect(tabB.result.current[0]).toBe('meet at noon')
+      })
+      const [message] = postMessage.mock.calls[0]
+      expect(message.key).toBe('testApp:note')
+      expect(message.value.payload).toBeInstanceOf(Uint8Array)
+      postMessage.mockRestore()
+    })
+  })
+
+  describe('Atomic Updates', () => {
+    it('runs functional updates on the persisted value', async () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('counter', {
+            initial: 0,
+            persist: 'local',
+            atomic: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      // Another tab incremented the counter without this tab noticing
+      localStorageMock.setItem('testApp:counter', '5')
+
+      let committed
+      await act(async () => {
+        committed = await result.current[1](prev => prev + 1)
+      })
+      expect(committed).toBe(6)
+      expect(result.current[0]).toBe(6)
+      expect(localStorageMock.getItem('testApp:counter')).toBe('6')
+    })
+
+    it('does not lose concurrent increments of a localdb key', async () => {
+      const options = { initial: 0, persist: 'localdb', atomic: true }
+      // Two providers stand in for two tabs
+      const tabA = renderHook(() => useAdvancedState('clicks', options), {
+        wrapper: createWrapper()
+      })
+      const tabB = renderHook(() => useAdvancedState('clicks', options), {
+        wrapper: createWrapper()
+      })
+      await waitFor(() => {
+        expect(tabA.result.current[2].isInitializing).toBe(false)
+        expect(tabB.result.current[2].isInitializing).toBe(false)
+      })
+
+      await act(async () => {
+        await Promise.all([
+          tabA.result.current[1](prev => prev + 1),
+          tabB.result.current[1](prev => prev + 1)
+        ])
+      })
+      expect(await mockIdb.get('testApp:clicks')).toBe(2)
+    })
+
+    it('reports a failed read of a localdb key with its target', async () => {
+      const onError = jest.fn()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('clicks', {
+            initial: 0,
+            persist: 'localdb',
+            atomic: true,
+            onError
+          }),
+        { wrapper: createWrapper() }
+      )
+      await waitFor(() =>
+        expect(result.current[2].isInitializing).toBe(false)
+      )
+      mockIdb.get.mockRejectedValueOnce(new Error('IDB unavailable'))
+
+      await act(async () => {
+        await result.current[1](prev => prev + 1)
+      })
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: 'IDB_READ_FAILED',
+          key: 'clicks',
+          persist: 'localdb'
+        })
+      )
+      expect(result.current[0]).toBe(1)
+    })
+
+    it('holds a Web Lock per storage key when available', async () => {
+      const request = jest.fn((name, ...args) => args[args.length - 1]())
+      Object.defineProperty(navigator, 'locks', {
+        value: { request },
+        configurable: true
+      })
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('counter', {
+            initial: 1,
+            persist: 'local',
+            atomic: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      await act(async () => {
+        await result.current[1](prev => prev * 2)
+      })
+      expect(request).toHaveBeenCalledWith(
+        'adv_state:testApp:counter',
+        expect.any(Function)
+      )
+      expect(localStorageMock.getItem('testApp:counter')).toBe('2')
+    })
+
+    it('returns a promise from the imperative setState', async () => {
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [
+          { key: 'stock', initial: 10, persist: 'local', atomic: true }
+        ]
+      })
+      localStorageMock.setItem('testApp:stock', '3')
+      await expect(store.setState('stock', n => n - 1)).resolves.toBe(2)
+      expect(store.getState('stock')).toBe(2)
+    })
+
+    it('updates hooks that keep their own copy after an atomic API write', async () => {
+      const defaults = [
+        { key: 'n', initial: 0, persist: 'local', atomic: true }
+      ]
+      const { result } = renderHook(
+        () => ({ api: useAdvancedStore(), n: useAdvancedState('n') }),
+        { wrapper: createWrapper({ defaults }) }
+      )
+      await act(async () => {
+        await result.current.api.setState('n', prev => prev + 5)
+      })
+      expect(result.current.n[0]).toBe(5)
+      expect(localStorageMock.getItem('testApp:n')).toBe('5')
+    })
+  })
+
+  describe('Undo/Redo History', () => {
+    it('undoes and redoes changes through the setter path', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('draft', {
+            initial: 'a',
+            persist: 'local',
+            history: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      expect(result.current[2].canUndo).toBe(false)
+
+      act(() => {
+        result.current[1]('b')
+      })
+      act(() => {
+        result.current[1]('c')
+      })
+      act(() => {
+        result.current[2].undo()
+      })
+      expect(result.current[0]).toBe('b')
+      expect(localStorageMock.getItem('testApp:draft')).toBe('"b"')
+      expect(result.current[2].canRedo).toBe(true)
+
+      act(() => {
+        result.current[2].undo()
+      })
+      expect(result.current[0]).toBe('a')
+      expect(result.current[2].canUndo).toBe(false)
+
+      act(() => {
+        result.current[2].redo()
+      })
+      expect(result.current[0]).toBe('b')
+
+      // A new change discards the redo steps
+      act(() => {
+        result.current[1]('d')
+      })
+      expect(result.current[2].canRedo).toBe(false)
+    })
+
+    it('groups changes within the debounce window into one step', () => {
+      jest.useFakeTimers()
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('title', {
+            initial: '',
+            debounce: 300,
+            history: true
+          }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current[1]('H')
+      })
+      act(() => {
+        jest.advanceTimersByTime(100)
+        result.current[1]('Hi')
+      })
+      act(() => {
+        jest.advanceTimersByTime(1000)
+        result.current[1]('Hi!')
+      })
+
+      act(() => {
+        result.current[2].undo()
+      })
+      expect(result.current[0]).toBe('Hi')
+      act(() => {
+        result.current[2].undo()
+      })
+      expect(result.current[0]).toBe('')
+    })
+
+    it('keeps at most `limit` undo steps', () => {
+      const { result } = renderHook(
+        () => useAdvancedState('n', { initial: 0, history: { limit: 2 } }),
+        { wrapper: createWrapper() }
+      )
+      for (const n of [1, 2, 3]) {
+        act(() => {
+          result.current[1](n)
+        })
       }
+      act(() => {
+        result.current[2].undo()
+      })
+      act(() => {
+        result.current[2].undo()
+      })
+      expect(result.current[0]).toBe(1)
+      expect(result.current[2].canUndo).toBe(false)
+    })
 
-      const ComponentB = () => {
-        renderTrackerB()
-        useAdvancedState('keyB', {
-          initial: 'banana',
-          notify: 'cross-component'
+    it('notifies components that share the key on undo', () => {
+      const { result } = renderHook(
+        () => ({
+          editor: useAdvancedState('doc', {
+            initial: 'v1',
+            notify: 'cross-component',
+            history: true
+          }),
+          viewer: useAdvancedState('doc', { notify: 'cross-component' })
+        }),
+        { wrapper: createWrapper() }
+      )
+      act(() => {
+        result.current.editor[1]('v2')
+      })
+      act(() => {
+        result.current.editor[2].undo()
+      })
+      expect(result.current.viewer[0]).toBe('v1')
+    })
+
+    it('restores a persisted history after a reload', () => {
+      const options = {
+        initial: 'a',
+        persist: 'local',
+        history: { persist: true }
+      }
+      const first = renderHook(() => useAdvancedState('note', options), {
+        wrapper: createWrapper()
+      })
+      act(() => {
+        first.result.current[1]('b')
+      })
+      expect(
+        JSON.parse(localStorageMock.getItem('testApp:note:__history__'))
+      ).toEqual({ past: ['a'], future: [] })
+      first.unmount()
+
+      const second = renderHook(() => useAdvancedState('note', options), {
+        wrapper: createWrapper()
+      })
+      expect(second.result.current[0]).toBe('b')
+      expect(second.result.current[2].canUndo).toBe(true)
+      act(() => {
+        second.result.current[2].undo()
+      })
+      expect(second.result.current[0]).toBe('a')
+    })
+  })
+
+  describe('Redux DevTools', () => {
+    let devTools
+    let sendToApp
+
+    beforeEach(() => {
+      devTools = {
+        init: jest.fn(),
+        send: jest.fn(),
+        subscribe: jest.fn(listener => {
+          sendToApp = listener
+          return jest.fn()
         })
-        return null
       }
+      window.__REDUX_DEVTOOLS_EXTENSION__ = {
+        connect: jest.fn(() => devTools),
+        disconnect: jest.fn()
+      }
+    })
 
-      render(
-        <AdvancedStateProvider prefix='testApp'>
-          <ComponentA />
-          <ComponentB />
-        </AdvancedStateProvider>
+    afterEach(() => {
+      delete window.__REDUX_DEVTOOLS_EXTENSION__
+    })
+
+    it('leaves other DevTools connections open on unmount', () => {
+      const { unmount } = renderHook(
+        () => useAdvancedState('count', { initial: 0 }),
+        { wrapper: createWrapper({ devtools: true }) }
+      )
+      const unsubscribe = devTools.subscribe.mock.results[0].value
+      unmount()
+      expect(unsubscribe).toHaveBeenCalled()
+      expect(
+        window.__REDUX_DEVTOOLS_EXTENSION__.disconnect
+      ).not.toHaveBeenCalled()
+    })
+
+    it('stays disconnected unless enabled', () => {
+      renderHook(() => useAdvancedState('count', { initial: 0 }), {
+        wrapper: createWrapper()
+      })
+      expect(window.__REDUX_DEVTOOLS_EXTENSION__.connect).not.toHaveBeenCalled()
+    })
+
+    it('logs changes with key, values, scope and source', () => {
+      window.location.search = '?appId=9'
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('count', {
+            initial: 0,
+            persist: 'local',
+            scopeByUrlParam: 'appId'
+          }),
+        { wrapper: createWrapper({ devtools: { name: 'Test' } }) }
+      )
+      expect(window.__REDUX_DEVTOOLS_EXTENSION__.connect).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'Test' })
       )
+      expect(devTools.init).toHaveBeenCalledWith({ count: 0 })
 
-      expect(renderTrackerA).toHaveBeenCalledTimes(1)
-      expect(renderTrackerB).toHaveBeenCalledTimes(1)
       act(() => {
-        screen.getByText('Update A').click()
+        result.current[1](1)
       })
-      expect(renderTrackerA).toHaveBeenCalledTimes(2)
-      expect(renderTrackerB).toHaveBeenCalledTimes(1)
+      expect(devTools.send).toHaveBeenLastCalledWith(
+        {
+          type: 'count/set',
+          key: 'count',
+          prev: 0,
+          next: 1,
+          scope: '9',
+          source: 'set',
+          silent: true
+        },
+        { count: 1 }
+      )
+    })
+
+    it('reports the cross-tab transport as the source', () => {
+      renderHook(
+        () =>
+          useAdvancedState('tabSync', {
+            initial: 'old',
+            persist: 'local',
+            notify: 'cross-component-and-tab'
+          }),
+        { wrapper: createWrapper({ devtools: true }) }
+      )
+      act(() => {
+        const event = new Event('storage')
+        event.key = 'testApp:tabSync'
+        event.newValue = '"new"'
+        event.storageArea = sessionStorageMock
+        window.dispatchEvent(event)
+      })
+      expect(devTools.send).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: 'tabSync/storage-event',
+          source: 'storage-event',
+          prev: 'old',
+          next: 'new',
+          silent: false
+        }),
+        { tabSync: 'new' }
+      )
+    })
+
+    it('restores the store when jumping to an earlier action', () => {
+      const { result } = renderHook(
+        () =>
+          useAdvancedState('count', {
+            initial: 0,
+            persist: 'local',
+            notify: 'cross-component'
+          }),
+        { wrapper: createWrapper({ devtools: true }) }
+      )
+      act(() => {
+        result.current[1](1)
+      })
+      act(() => {
+        result.current[1](2)
+      })
+      expect(localStorageMock.getItem('testApp:count')).toBe('2')
+
+      act(() => {
+        sendToApp({
+          type: 'DISPATCH',
+          payload: { type: 'JUMP_TO_ACTION', actionId: 1 },
+          state: '{"count":1}'
+        })
+      })
+      expect(result.current[0]).toBe(1)
+      // Time travel does not write to storage
+      expect(localStorageMock.getItem('testApp:count')).toBe('2')
+      // Nor is it logged as a new action
+      expect(devTools.send).toHaveBeenCalledTimes(2)
+    })
+
+    it('restores hooks that keep their own copy of the value', () => {
+      const { result } = renderHook(
+        () => ({
+          plain: useAdvancedState('dt', { initial: 1 }),
+          persisted: useAdvancedState('saved', {
+            initial: 'a',
+            persist: 'local'
+          })
+        }),
+        { wrapper: createWrapper({ devtools: true }) }
+      )
+      act(() => {
+        result.current.plain[1](2)
+      })
+      act(() => {
+        result.current.persisted[1]('b')
+      })
+
+      act(() => {
+        sendToApp({
+          type: 'DISPATCH',
+          payload: { type: 'JUMP_TO_ACTION', actionId: 0 }
+        })
+      })
+      expect(result.current.plain[0]).toBe(1)
+      expect(result.current.persisted[0]).toBe('a')
+      expect(localStorageMock.getItem('testApp:saved')).toBe('"b"')
+      expect(devTools.send).toHaveBeenCalledTimes(2)
     })
   })
 
@@ -734,5 +4188,135 @@ describe('Advanced State Management', () => {
       expect(html).toContain('server-value')
       expect(html).toContain('not-cached')
     })
+
+    it('renders shared values from the store snapshot on the server', () => {
+      const { renderToString } = require('react-dom/server')
+      const Reader = () => {
+        const [value] = useAdvancedState('ssrShared', {
+          notify: 'cross-component'
+        })
+        return <span>{value}</span>
+      }
+
+      const html = renderToString(
+        <AdvancedStateProvider
+          prefix='testApp'
+          defaults={[{ key: 'ssrShared', initial: 'from-defaults' }]}
+        >
+          <Reader />
+        </AdvancedStateProvider>
+      )
+      expect(html).toContain('from-defaults')
+    })
+  })
+
+  describe('Hydration', () => {
+    it('dehydrates the values of a server store', () => {
+      const store = createAdvancedStore({
+        prefix: 'testApp',
+        defaults: [{ key: 'theme', initial: 'light' }]
+      })
+      store.setState('user', { name: 'Ada' })
+      expect(dehydrate(store)).toEqual({
+        theme: 'light',
+        user: { name: 'Ada' }
+      })
+    })
+
+    it('hydrates the server HTML without a mismatch, then loads the persisted value', () => {
+      const { renderToString } = require('react-dom/server')
+      localStorageMock.setItem('testApp:theme', '"dark"')
+      const Theme = () => {
+        const [theme] = useAdvancedState('theme', {
+          initial: 'light',
+          persist: 'local'
+        })
+        return <span>{theme}</span>
+      }
+      const app = (
+        <AdvancedStateProvider
+          prefix='testApp'
+          initialState={{ theme: 'blue' }}
+        >
+          <Theme />
+        </AdvancedStateProvider>
+      )
+      const originalWindow = global.window
+      delete global.window
+      let html
+      try {
+        html = renderToString(app)
+      } finally {
+        global.window = originalWindow
+      }
+
+      const container = document.createElement('div')
+      container.innerHTML = html
+      expect(container.textContent).toBe('blue')
+
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation()
+      render(app, { container, hydrate: true })
+      expect(errorSpy).not.toHaveBeenCalled()
+      expect(container.textContent).toBe('dark')
+      errorSpy.mockRestore()
+    })
+
+    it('keeps and persists the server value when storage has none', () => {
+      const renders = []
+      const { result } = renderHook(
+        () => {
+          const state = useAdvancedState('theme', {
+            initial: 'light',
+            persist: 'local'
+          })
+          renders.push(state[0])
+          return state
+        },
+        { wrapper: createWrapper({ initialState: { theme: 'blue' } }) }
+      )
+      expect(renders[0]).toBe('blue')
+      expect(result.current[0]).toBe('blue')
+      expect(localStorageMock.getItem('testApp:theme')).toBe('"blue"')
+    })
+
+    it('renders the server value of localdb keys until IndexedDB loads', async () => {
+      await mockIdb.set('testApp:rows', [1, 2, 3])
+      const renders = []
+      const { result } = renderHook(
+        () => {
+          const state = useAdvancedState('rows', {
+            initial: [],
+            persist: 'localdb'
+          })
+          renders.push(state[0])
+          return state
+        },
+        { wrapper: createWrapper({ initialState: { rows: [1] } }) }
+      )
+      expect(renders[0]).toEqual([1])
+      await waitFor(() => expect(result.current[0]).toEqual([1, 2, 3]))
+      expect(renders).not.toContainEqual([])
+    })
+
+    it('loads the persisted value of shared keys and selectors', () => {
+      localStorageMock.setItem('testApp:count', '5')
+      const defaults = [
+        {
+          key: 'count',
+          initial: 0,
+          persist: 'local',
+          notify: 'cross-component'
+        }
+      ]
+      const { result } = renderHook(
+        () => ({
+          doubled: useAdvancedStateSelector('count', count => count * 2),
+          api: useAdvancedStore()
+        }),
+        { wrapper: createWrapper({ defaults, initialState: { count: 1 } }) }
+      )
+      expect(result.current.doubled).toBe(10)
+      expect(result.current.api.getState('count')).toBe(5)
+    })
   })
 })